@@ -4,12 +4,33 @@
  * Baum-Welch HMM — UI, charts, and entry points
  *
  * Contents:
- *   §3  Chart helpers     buildConvChart, buildGammaChart, buildAlphaChart
+ *   §3  Chart helpers     buildConvChart, buildGammaChart, buildPathChart,
+ *                         buildAlphaChart, buildDensityChart
  *   §4  Diagram           initDiagram() — wires StateTransitionDiagram
- *   §5  UI helpers        heatColor, renderMatrix
- *   §6  Entry points      runBaumWelch(), loadExample()
+ *   §5  UI helpers        heatColor, renderMatrix, renderParamTable,
+ *                         renderTables, parseSequences, encodeSymbols, parseLabels,
+ *                         parseConstraints,
+ *                         formatConstraints, diagramSnapshot, pinnedMask,
+ *                         escapeHTML, dataMismatch, downloadText
+ *   §6  Entry points      runBaumWelch(), showRun(), loadExample()
+ *   §8  Restarts          showRestarts(), buildRestartChart()
+ *   §9  Model selection   runModelSelection(), buildModelSelChart()
+ *  §10  Generate          generateSequence() — sample from a typed-in λ
+ *  §11  Ground truth      renderTruthComparison() — learned vs generating λ
+ *  §13  Background run    startWorker(), trainInBackground(), cancelTraining() — hmm-worker.js
+ *  §16  Save / Load       exportModel(), importModel() — versioned JSON models
+ *  §17  Evaluate          runEvaluation() — score new data, flag anomalies
+ *  §18  Validation        withHoldOut(), runCrossValidation() — overfitting checks
+ *  §20  Streaming demo    toggleStream() — OnlineFilter driving the diagram
+ *  §22  Online EM demo    toggleOnlineEM() — OnlineEM updates fed to the diagram
+ *  §23  Data import       loadDataFile() — CSV / TSV / text files with a preview
+ *  §24  Result export     exportParameters(), exportSteps(), exportHistory(),
+ *                         exportBundle() — full-precision CSV / LaTeX / JSON
+ *  §25  Run report        downloadReport() — standalone HTML, printable to PDF
+ *  §26  Share links       copyShareLink(), openShareLink() — form state in the URL hash
  *
- * Depends on: diagram-lib.js, hmm-core.js (load those first)
+ * Depends on: diagram-lib.js, hmm-core.js (load those first);
+ *             hmm-worker.js is started on demand
  * ──────────────────────────────────────────────────────────────
  */
 
@@ -18,12 +39,16 @@
 let convChart  = null;
 let gammaChart = null;
 let alphaChart = null;
+let pathChart  = null;
+let densityChart = null;
 
 const PALETTE = ['#7c3aed', '#06b6d4', '#f59e0b', '#10b981', '#ec4899', '#f472b6'];
+const CLAMPED_COLOR = 'rgba(148,163,184,0.16)';    // γ-chart shading of labelled steps
+const MISSING_COLOR = 'rgba(245,158,11,0.14)';     // … and of missing observations
 
 function destroyCharts() {
-  [convChart, gammaChart, alphaChart].forEach(c => { if (c) c.destroy(); });
-  convChart = gammaChart = alphaChart = null;
+  [convChart, gammaChart, alphaChart, pathChart, densityChart].forEach(c => { if (c) c.destroy(); });
+  convChart = gammaChart = alphaChart = pathChart = densityChart = null;
 }
 
 /** Shared Chart.js axis/plugin defaults for the dark theme. */
@@ -47,41 +72,99 @@ const baseOpts = (xLabel, yLabel) => ({
   },
 });
 
-function buildConvChart(history) {
+/**
+ * log P(O|λ) per iteration — or whichever objective the trainer
+ * maximises, named by objective. With a prior (priorHistory non-empty) the
+ * log prior goes on its own right-hand axis and the log posterior —
+ * the quantity MAP training maximises — is drawn next to the likelihood.
+ * validation = { label, data, best } adds the validation score on a
+ * second right-hand axis, with a large point at iteration best if set.
+ */
+function buildConvChart(history, priorHistory = [], validation = null, objective = 'log P(O|λ)') {
   const ctx = document.getElementById('conv-chart').getContext('2d');
+  const pointRadius = history.length < 30 ? 4 : 1;
+  const datasets = [{
+    label: objective,
+    data: history,
+    borderColor: '#7c3aed',
+    backgroundColor: 'rgba(124,58,237,0.08)',
+    fill: !priorHistory.length,
+    tension: 0.35,
+    pointRadius,
+    borderWidth: 2,
+  }];
+  const opts = baseOpts('Iteration', objective);
+
+  if (priorHistory.length) {
+    datasets.push({
+      label: `${objective} + log P(λ) (posterior)`,
+      data: history.map((ll, i) => ll + priorHistory[i]),
+      borderColor: '#10b981', backgroundColor: '#10b981',
+      tension: 0.35, pointRadius, borderWidth: 2,
+    }, {
+      label: 'log P(λ) (prior, right axis)',
+      data: priorHistory,
+      yAxisID: 'y1',
+      borderColor: '#f59e0b', backgroundColor: '#f59e0b',
+      borderDash: [5, 4], tension: 0.35, pointRadius: 0, borderWidth: 1.5,
+    });
+    opts.scales.y.title.text = `${objective} / log posterior`;
+    opts.scales.y1 = {
+      ...baseOpts('', 'log P(λ)').scales.y,
+      position: 'right',
+      grid: { drawOnChartArea: false },
+    };
+  }
+
+  if (validation) {
+    datasets.push({
+      label: validation.label,
+      data: validation.data,
+      yAxisID: 'y2',
+      borderColor: '#06b6d4', backgroundColor: '#06b6d4',
+      tension: 0.35, borderWidth: 2,
+      pointRadius: validation.data.map((_, i) => i + 1 === validation.best ? 6 : pointRadius),
+    });
+    opts.scales.y2 = {
+      ...baseOpts('', 'validation log P(O|λ)').scales.y,
+      position: 'right',
+      grid: { drawOnChartArea: false },
+    };
+  }
+
+  const len = Math.max(history.length, validation ? validation.data.length : 0);
   convChart = new Chart(ctx, {
     type: 'line',
-    data: {
-      labels: history.map((_, i) => i + 1),
-      datasets: [{
-        label: 'log P(O|λ)',
-        data: history,
-        borderColor: '#7c3aed',
-        backgroundColor: 'rgba(124,58,237,0.08)',
-        fill: true,
-        tension: 0.35,
-        pointRadius: history.length < 30 ? 4 : 1,
-        borderWidth: 2,
-      }],
-    },
-    options: baseOpts('Iteration', 'log P(O|λ)'),
+    data: { labels: Array.from({ length: len }, (_, i) => i + 1), datasets },
+    options: opts,
   });
 }
 
-function buildGammaChart(gamma, N) {
+/**
+ * γₜ(i) per state. bands = [{ label, mask, color }] shades the steps
+ * where mask[t] is true behind the lines. Returns the chart.
+ */
+function buildGammaChart(gamma, N, canvasId = 'gamma-chart', bands = []) {
   const T   = gamma.length;
-  const ctx = document.getElementById('gamma-chart').getContext('2d');
-  gammaChart = new Chart(ctx, {
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  return new Chart(ctx, {
     type: 'line',
     data: {
       labels: Array.from({ length: T }, (_, i) => i),
-      datasets: Array.from({ length: N }, (_, i) => ({
-        label: `Hidden State ${i}`,
-        data: gamma.map(g => g[i]),
-        borderColor: PALETTE[i % PALETTE.length],
-        backgroundColor: PALETTE[i % PALETTE.length] + '18',
-        fill: true, tension: 0.2, pointRadius: 0, borderWidth: 1.5,
-      })),
+      datasets: [
+        ...Array.from({ length: N }, (_, i) => ({
+          label: `Hidden State ${i}`,
+          data: gamma.map(g => g[i]),
+          borderColor: PALETTE[i % PALETTE.length],
+          backgroundColor: PALETTE[i % PALETTE.length] + '18',
+          fill: true, tension: 0.2, pointRadius: 0, borderWidth: 1.5,
+        })),
+        ...bands.map(({ label, mask, color }) => ({
+          type: 'bar', label, order: 1,
+          data: Array.from(mask, m => m ? 1 : 0),
+          backgroundColor: color, barPercentage: 1, categoryPercentage: 1, borderWidth: 0,
+        })),
+      ],
     },
     options: {
       ...baseOpts('Time step t', 'γₜ(i) — State Probability'),
@@ -98,6 +181,43 @@ function buildGammaChart(gamma, N) {
   });
 }
 
+/**
+ * Decoded-path track: one full-height bar per time step, coloured by the
+ * Viterbi state so it lines up with the γ chart above it. Steps where
+ * missing[t] is true (no observation) are drawn faded. Returns the chart.
+ */
+function buildPathChart(path, N, canvasId = 'path-chart', legendId = 'path-legend', missing = null) {
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  const chart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: path.map((_, t) => t),
+      datasets: [{
+        label: 'Viterbi state',
+        data: path.map(() => 1),
+        backgroundColor: path.map((s, t) => PALETTE[s % PALETTE.length] + (missing?.[t] ? '55' : '')),
+        barPercentage: 1, categoryPercentage: 1, borderWidth: 0,
+      }],
+    },
+    options: {
+      animation: false,
+      responsive: true,
+      plugins: {
+        legend:  { display: false },
+        tooltip: { callbacks: { label: c => `q*${c.dataIndex} = S${path[c.dataIndex]}` +
+          (missing?.[c.dataIndex] ? ' (observation missing)' : '') } },
+      },
+      scales: {
+        x: { ...baseOpts('Time step t', '').scales.x, title: { display: false } },
+        y: { display: false, min: 0, max: 1 },
+      },
+    },
+  });
+  document.getElementById(legendId).innerHTML = Array.from({ length: N }, (_, i) =>
+    `<span><i style="background:${PALETTE[i % PALETTE.length]}"></i>S${i}</span>`).join('');
+  return chart;
+}
+
 function buildAlphaChart(logAlpha, N) {
   const T   = logAlpha.length;
   const ctx = document.getElementById('alpha-chart').getContext('2d');
@@ -117,6 +237,42 @@ function buildAlphaChart(logAlpha, N) {
   });
 }
 
+/**
+ * Per-state emission densities for continuous models. view is the
+ * emission model's densityView(): view[i] = [{ weight, mean, variance }],
+ * one entry per mixture component, so GMM states plot as their full mixture.
+ */
+function buildDensityChart(view) {
+  const pdf = (cs, x) => cs.reduce((s, c) =>
+    s + c.weight * Math.exp(-0.5 * (x - c.mean) ** 2 / c.variance) / Math.sqrt(2 * Math.PI * c.variance), 0);
+
+  let lo = Infinity, hi = -Infinity;
+  view.flat().forEach(c => {
+    const sd = Math.sqrt(c.variance);
+    lo = Math.min(lo, c.mean - 3.5 * sd); hi = Math.max(hi, c.mean + 3.5 * sd);
+  });
+  const xs = Array.from({ length: 200 }, (_, g) => lo + (hi - lo) * g / 199);
+
+  const opts = baseOpts('Observation value', 'bᵢ(o)');
+  opts.scales.x.ticks.maxTicksLimit = 8;
+
+  const ctx = document.getElementById('density-chart').getContext('2d');
+  densityChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: xs.map(x => x.toFixed(2)),
+      datasets: view.map((cs, i) => ({
+        label: `S${i}`,
+        data: xs.map(x => pdf(cs, x)),
+        borderColor: PALETTE[i % PALETTE.length],
+        backgroundColor: PALETTE[i % PALETTE.length] + '18',
+        fill: true, tension: 0.2, pointRadius: 0, borderWidth: 1.5,
+      })),
+    },
+    options: opts,
+  });
+}
+
 // #endregion
 
 
@@ -128,9 +284,14 @@ function buildAlphaChart(logAlpha, N) {
 
 let stdDiagram = null;
 
-/** Instantiate and wire the StateTransitionDiagram with dark-theme colours. */
+/**
+ * Instantiate and wire the StateTransitionDiagram with dark-theme colours
+ * on first use; later calls just clear it, so the replay controls are
+ * only ever wired to one instance.
+ */
 function initDiagram() {
-  if (stdDiagram) stdDiagram.reset();
+  stopStream();
+  if (stdDiagram) { stdDiagram.reset(); return; }
 
   stdDiagram = new StateTransitionDiagram('#std-canvas', '#std-inspector', {
     stateColors: [
@@ -204,6 +365,228 @@ function renderMatrix(el, data, rowLabels, colLabels) {
   el.innerHTML = h;
 }
 
+/** Render a table of unbounded parameters (μ, σ², …) without heat colouring. */
+function renderParamTable(el, data, rowLabels, colLabels) {
+  let h = `<table><thead><tr><th></th>`;
+  colLabels.forEach(c => { h += `<th>${c}</th>`; });
+  h += `</tr></thead><tbody>`;
+  data.forEach((row, i) => {
+    h += `<tr><th>${rowLabels[i]}</th>`;
+    row.forEach(v => { h += `<td>${v.toFixed(4)}</td>`; });
+    h += `</tr>`;
+  });
+  h += `</tbody></table>`;
+  el.innerHTML = h;
+}
+
+/** Fill the π, A and emission tables (and density chart) for a trained model. */
+function renderTables(hmm) {
+  const { N, M, emission } = hmm;
+  const stateLabels = Array.from({ length: N }, (_, i) => `S${i}`);
+  renderMatrix(document.getElementById('A-table'), hmm.A, stateLabels, stateLabels);
+
+  const densityWrap = document.getElementById('density-wrap');
+  if (densityChart) { densityChart.destroy(); densityChart = null; }
+  if (emission.type === 'discrete') {
+    const obsLabels = hmm.symbols?.map(escapeHTML) || Array.from({ length: M }, (_, k) => `sym-${k}`);
+    renderMatrix(document.getElementById('B-table'), hmm.B, stateLabels, obsLabels);
+    document.getElementById('B-title').textContent = 'B — Emission Matrix';
+    densityWrap.style.display = 'none';
+  } else {
+    const dims = Array.from({ length: emission.D }, (_, d) => emission.D > 1 ? `${d + 1}` : '');
+    const cols = [...dims.map(d => `μ${d}`), ...dims.map(d => `σ²${d}`)];
+    if (emission.type === 'gmm') {
+      const rows = [], labels = [];
+      emission.mean.forEach((comps, i) => comps.forEach((mu, k) => {
+        rows.push([emission.weight[i][k], ...mu, ...emission.variance[i][k]]);
+        labels.push(`S${i} · ${k + 1}`);
+      }));
+      renderParamTable(document.getElementById('B-table'), rows, labels, ['w', ...cols]);
+      document.getElementById('B-title').textContent = `B — Gaussian Mixtures (K = ${emission.K})`;
+    } else {
+      renderParamTable(document.getElementById('B-table'),
+        emission.mean.map((mu, i) => [...mu, ...emission.variance[i]]), stateLabels, cols);
+      document.getElementById('B-title').textContent = 'B — Gaussian Emissions';
+    }
+    densityWrap.style.display = '';
+    buildDensityChart(emission.densityView());
+  }
+
+  // π row
+  let ph = `<table><thead><tr>` + stateLabels.map(s => `<th>${s}</th>`).join('') + `</tr></thead><tbody><tr>`;
+  hmm.pi.forEach(v => {
+    ph += `<td><span class="heat-cell" style="background:${heatColor(v)}">${v.toFixed(4)}</span></td>`;
+  });
+  ph += `</tr></tbody></table>`;
+  document.getElementById('pi-table').innerHTML = ph;
+}
+
+/** Tokens that stand for a missing observation. */
+const MISSING_TOKEN = /^(\?|NA)$/i;
+
+/**
+ * Parse the observation box: one sequence per non-empty line, values
+ * separated by spaces or commas. A token like 1.2;0.7 is one vector
+ * observation (for Gaussian emissions). ? or NA marks a missing
+ * observation (null), so later steps keep their place. Any other
+ * non-numeric token is kept as a string — a symbol name for
+ * encodeSymbols(); a malformed vector throws.
+ */
+function parseSequences(raw) {
+  const parseToken = (tok, line) => {
+    if (MISSING_TOKEN.test(tok)) return null;
+    if (!tok.includes(';')) return isNaN(tok) ? tok : Number(tok);
+    const v = tok.split(';').map(Number);
+    if (v.some(isNaN))
+      throw new Error(`Cannot read "${tok}" on line ${line + 1} — use ? or NA for a missing value.`);
+    return v;
+  };
+  return raw.split(/\r?\n/)
+    .map((line, n) => line.split(/[\s,]+/).filter(Boolean).map(tok => parseToken(tok, n)))
+    .filter(seq => seq.length);
+}
+
+/**
+ * Map named symbols to indices. vocab lists the names in index order;
+ * without one, text input is numbered in order of first appearance and
+ * all-number input is returned as it is. An integer token that is not
+ * one of the names is taken as a symbol index. Returns { seqs, symbols }
+ * (symbols null when nothing is named); throws on an unknown token.
+ */
+function encodeSymbols(seqs, vocab = null) {
+  const tokens = seqs.flat().filter(v => v !== null);
+  if (!vocab) {
+    if (!tokens.some(v => typeof v === 'string')) return { seqs, symbols: null };
+    vocab = [...new Set(tokens.map(String))];
+  }
+  const dup = vocab.find((name, k) => vocab.indexOf(name) !== k);
+  if (dup !== undefined) throw new Error(`Symbol "${dup}" is listed twice.`);
+
+  const index  = new Map(vocab.map((name, k) => [name, k]));
+  const encode = v => {
+    if (v === null) return null;
+    if (index.has(String(v))) return index.get(String(v));
+    if (Number.isInteger(v) && v >= 0 && (!vocab.length || v < vocab.length)) return v;
+    throw new Error(`Unknown symbol "${v}"` +
+      (vocab.length ? ` — expected one of: ${vocab.join(', ')}.` : ' — this model only takes integer symbols.'));
+  };
+  return { seqs: seqs.map(O => O.map(encode)), symbols: vocab.length ? vocab : null };
+}
+
+/** First token of a parsed input that is text rather than a number, if any. */
+function firstText(seqs) {
+  return seqs.flat().find(v => typeof v === 'string');
+}
+
+/** Per-step mask of the missing (null) observations in a sequence. */
+function missingMask(O) {
+  return O.map(o => o === null);
+}
+
+/**
+ * Parse the state-label box against the parsed sequences: one line per
+ * sequence, a state index per step, or - . ? for unknown. Returns the
+ * label tracks (null where unknown), or undefined when the box is empty;
+ * throws when a line does not fit its sequence.
+ */
+function parseLabels(raw, seqs, N) {
+  const lines = raw.split(/\r?\n/).map(line => line.split(/[\s,]+/).filter(Boolean)).filter(l => l.length);
+  if (!lines.length) return undefined;
+  if (lines.length !== seqs.length)
+    throw new Error(`Found ${lines.length} label line(s) for ${seqs.length} sequence(s) — give one line per sequence.`);
+  return lines.map((toks, r) => {
+    if (toks.length !== seqs[r].length)
+      throw new Error(`Label line ${r + 1} has ${toks.length} entries but sequence ${r + 1} has ${seqs[r].length} observations.`);
+    return toks.map(tok => {
+      if (/^[-.?]$/.test(tok)) return null;
+      const q = Number(tok);
+      if (!(Number.isInteger(q) && q >= 0 && q < N))
+        throw new Error(`State label "${tok}" on line ${r + 1} is not a state index 0 … ${N - 1} (use - for unknown).`);
+      return q;
+    });
+  });
+}
+
+/**
+ * Parse the pins-and-ties box. Statements are separated by newlines or
+ * semicolons:  A[0][1] = 0   pi[0] = 1   B[2][0] = 0.05   tie 0 2
+ * Returns { pins, ties }; throws on a statement it cannot read.
+ */
+function parseConstraints(raw) {
+  const pins = [], ties = [];
+  for (const stmt of raw.split(/[;\r\n]+/).map(x => x.trim()).filter(Boolean)) {
+    const pin = stmt.match(/^(pi|π|A|B)\s*\[\s*(\d+)\s*\](?:\s*\[\s*(\d+)\s*\])?\s*=\s*(\S+)$/);
+    const tie = stmt.match(/^tie\s+(\d+(?:[\s,]+\d+)+)$/i);
+    if (pin && (pin[1] === 'A' || pin[1] === 'B') === (pin[3] !== undefined)) {
+      pins.push({ param: pin[1] === 'π' ? 'pi' : pin[1], i: +pin[2], j: pin[3] === undefined ? undefined : +pin[3], value: Number(pin[4]) });
+    } else if (tie) {
+      ties.push(tie[1].split(/[\s,]+/).map(Number));
+    } else {
+      throw new Error(`Cannot read constraint "${stmt}". Use A[i][j] = v, B[i][k] = v, pi[i] = v or tie i j.`);
+    }
+  }
+  return { pins, ties };
+}
+
+/** The pins and ties of a constraint spec written back as box text. */
+function formatConstraints(spec) {
+  if (!spec) return '';
+  const pins = (spec.pins || []).map(({ param, i, j, value }) =>
+    param === 'pi' ? `pi[${i}] = ${value}` : `${param}[${i}][${j}] = ${value}`);
+  const ties = (spec.ties || []).map(group => `tie ${group.join(' ')}`);
+  return [...pins, ...ties].join('\n');
+}
+
+/** Boolean masks of the entries a model holds fixed, for the diagram. */
+function pinnedMask(hmm) {
+  const c = hmm.constraints;
+  if (!c) return null;
+  const isPinned = v => v !== null;
+  return { pi: c.pi.map(isPinned), A: c.A.map(r => r.map(isPinned)), B: c.B && c.B.map(r => r.map(isPinned)) };
+}
+
+/**
+ * Copy of the model's current parameters in the shape feedIteration
+ * expects. Any { pi, A, emission } will do, not only an HMM.
+ */
+function diagramSnapshot(hmm, iteration, logLik) {
+  const view = hmm.emission.densityView();
+  return {
+    A:              hmm.A.map(r => [...r]),
+    B:              view ? null : hmm.emission.B.map(r => [...r]),
+    pi:             [...hmm.pi],
+    emission:       view ? { type: 'density', components: view } : undefined,
+    iteration,
+    log_likelihood: logLik,
+  };
+}
+
+/**
+ * Why seqs cannot be scored by a model with this emission type and
+ * M (symbols, or dimensions for Gaussian models); '' when they can.
+ */
+function dataMismatch(seqs, type, M) {
+  const obs = seqs.flat().filter(v => v !== null);
+  if (type === 'discrete') {
+    return obs.every(v => Number.isInteger(v) && v >= 0 && v < M)
+      ? '' : `The model only knows the symbols 0 … ${M - 1}.`;
+  }
+  return obs.every(v => (Array.isArray(v) ? v.length : 1) === M)
+    ? '' : `The model expects ${M}-dimensional observations.`;
+}
+
+/** Text that came from a file, made safe to put in innerHTML. */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/** Offer text to the browser as a file download. */
+function downloadText(text, filename, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a   = Object.assign(document.createElement('a'), { href: url, download: filename });
+  document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
+}
+
 // #endregion
 
 
@@ -213,91 +596,250 @@ function renderMatrix(el, data, rowLabels, colLabels) {
 
 // #region §6 Entry Points
 
+let lastHMM = null;
+/** The run on screen (see recordRun) — its log and validation curve are exported with it. */
+let lastRun = null;
+
+/**
+ * Read and validate the form.
+ * Returns { seqs, N, M, restarts, opts } or null (after alerting).
+ */
+function readConfig() {
+  let seqs;
+  try {
+    seqs = parseSequences(document.getElementById('obs-input').value);
+  } catch (e) {
+    alert(e.message);
+    return null;
+  }
+  let obs = seqs.flat().filter(v => v !== null);       // observed values only
+  if (obs.length < 3) { alert('Please enter at least 3 observations.'); return null; }
+
+  const N        = parseInt(document.getElementById('n-states').value);
+  const maxIter  = parseInt(document.getElementById('max-iter').value) || 100;
+  const epsilon  = parseFloat(document.getElementById('epsilon').value);
+  const seed     = parseInt(document.getElementById('seed').value);
+  const restarts = Math.max(1, parseInt(document.getElementById('restarts').value) || 1);
+  const emission = document.getElementById('emission-type').value;
+  const trainer  = document.getElementById('trainer').value;
+  const mixtures = parseInt(document.getElementById('n-mix').value) || 1;
+  let   M        = parseInt(document.getElementById('m-symbols').value);
+  const names    = document.getElementById('vocab-input').value.trim();
+  let   symbols  = null;
+
+  if (emission === 'discrete') {
+    try {
+      ({ seqs, symbols } = encodeSymbols(seqs, names ? names.split(/[\s,]+/) : null));
+    } catch (e) {
+      alert(e.message);
+      return null;
+    }
+    obs = seqs.flat().filter(v => v !== null);
+    if (!obs.every(v => Number.isInteger(v) && v >= 0)) {
+      alert('Discrete emissions need non-negative integer symbols or names. Choose "Gaussian" for real-valued data.');
+      return null;
+    }
+    if (symbols) M = symbols.length;
+    else if (!M || isNaN(M)) M = Math.max(...obs) + 1;
+  } else {
+    const text = firstText(seqs);
+    if (text !== undefined) {
+      alert(`Cannot read "${text}" — ${emission === 'gmm' ? 'GMM' : 'Gaussian'} observations must be numbers (use ? or NA for a missing value).`);
+      return null;
+    }
+    const D = Array.isArray(obs[0]) ? obs[0].length : 1;
+    if (!obs.every(v => (Array.isArray(v) ? v.length : 1) === D)) {
+      alert('Every observation must have the same number of dimensions.');
+      return null;
+    }
+    M = D;
+  }
+
+  let labels;
+  try {
+    labels = parseLabels(document.getElementById('labels-input').value, seqs, N);
+  } catch (e) {
+    alert(e.message);
+    return null;
+  }
+
+  // Structural constraints (§12) — only sent when something is set
+  const topology = document.getElementById('topology').value;
+  const band     = parseInt(document.getElementById('band').value) || 0;
+  const rawPins  = document.getElementById('constraints-input').value;
+  let constraints;
+  if (topology !== 'ergodic' || rawPins.trim()) {
+    try {
+      constraints = { topology, band, ...parseConstraints(rawPins) };
+      resolveConstraints(constraints, N, M, emission);
+    } catch (e) {
+      alert(e.message);
+      return null;
+    }
+  }
+
+  // Dirichlet priors — α = 1 everywhere means plain maximum likelihood
+  const prior = {
+    pi: parseFloat(document.getElementById('prior-pi').value) || 1,
+    A:  parseFloat(document.getElementById('prior-A').value)  || 1,
+    B:  parseFloat(document.getElementById('prior-B').value)  || 1,
+  };
+  if (Object.values(prior).some(a => a < 1)) {
+    alert('Prior concentrations α must be at least 1 (1 = no prior).');
+    return null;
+  }
+  const usePrior = Object.values(prior).some(a => a !== 1);
+
+  // Validation (§18) — the split itself is made by the caller
+  const validation = {
+    mode: document.getElementById('validation').value,
+    k:    parseInt(document.getElementById('k-folds').value) || 5,
+  };
+  const earlyStopping = Math.max(0, parseInt(document.getElementById('patience').value) || 0);
+
+  return {
+    seqs, N, M, restarts, validation,
+    opts: { maxIter, epsilon, seed, emission, mixtures, trainer, labels, symbols, constraints, prior: usePrior ? prior : undefined, earlyStopping },
+  };
+}
+
+/**
+ * Everything needed to show a trained model later: its log lines and
+ * one diagram snapshot per iteration. Pass run.callback to hmm.train().
+ */
+function recordRun(hmm) {
+  const run = { hmm, log: [], snapshots: [] };
+  run.callback = (msg, iter, done) => {
+    run.log.push({ msg, cls: done ? 'log-ok' : (iter === 0 ? 'log-info' : '') });
+    if (done) return;
+    const ll = hmm.logLikeHistory[hmm.logLikeHistory.length - 1] ?? 0;
+    run.snapshots.push(diagramSnapshot(hmm, iter + 1, ll));
+  };
+  return run;
+}
+
 /** Main button handler — reads inputs, runs training, renders results. */
 function runBaumWelch() {
-  // ── Parse inputs ──────────────────────────────────────────────
-  const raw = document.getElementById('obs-input').value;
-  const obs = raw.split(/[\s,]+/).map(Number).filter(v => !isNaN(v));
-  if (obs.length < 3) { alert('Please enter at least 3 observations.'); return; }
-
-  const N       = parseInt(document.getElementById('n-states').value);
-  const maxIter = parseInt(document.getElementById('max-iter').value);
-  const epsilon = parseFloat(document.getElementById('epsilon').value);
-  const seed    = parseInt(document.getElementById('seed').value);
-  let   M       = parseInt(document.getElementById('m-symbols').value);
-  if (!M || isNaN(M)) M = Math.max(...obs) + 1;
+  let cfg = readConfig();
+  if (!cfg) return;
+  if (cfg.validation.mode === 'holdout' && !(cfg = withHoldOut(cfg))) return;
+  const { seqs, N, M, restarts, opts } = cfg;
 
   // ── Reset UI ──────────────────────────────────────────────────
-  destroyCharts();
-  ['results-header', 'conv-card', 'matrix-section', 'diagram-section', 'prob-section']
-    .forEach(id => { document.getElementById(id).style.display = ''; });
+  revealResults();
 
-  const logBox = document.getElementById('log-output');
-  logBox.innerHTML = '';
-  document.getElementById('stat-loglik').textContent    = '...';
-  document.getElementById('stat-iters').textContent     = '...';
-  document.getElementById('stat-converged').textContent = '...';
+  // ── Train ─────────────────────────────────────────────────────
+  stopBackgroundTraining();
+  if (cfg.validation.mode === 'kfold') {
+    runCrossValidation(cfg);
+    return;
+  }
+  if (restarts <= 1) {
+    trainInBackground(cfg);
+    return;
+  }
 
-  // ── Initialise diagram ────────────────────────────────────────
-  initDiagram();
+  startWorker({ job: 'restarts', seqs, N, M, opts, restarts }, {
+    cfg, total: restarts,
+    onRun:    ({ seed }) => ({ seqs, N, M, opts: { ...opts, seed } }),
+    onDone:   (result, job) => showRestarts(job.runs, result),
+    onCancel: cancelRestarts,
+  }, () => trainRestartsOnMainThread(cfg));
+}
 
-  // ── Train ─────────────────────────────────────────────────────
-  const hmm = new HMM(obs, N, M, { maxIter, epsilon, seed });
+/** The pre-worker path for restarts: train them all synchronously, then render. */
+function trainRestartsOnMainThread({ seqs, N, M, restarts, opts }) {
+  const records = [];
+  const result  = trainWithRestarts(seqs, N, M, opts, restarts, hmm => {
+    const run = recordRun(hmm);
+    records.push(run);
+    return run.callback;
+  });
+  result.runs.forEach((r, i) => { records[i].seed = r.seed; });
+  showRestarts(records, result);
+}
+
+/** Show the standard results sections and hide the optional run summaries. */
+function revealResults() {
+  ['results-header', 'conv-card', 'matrix-section', 'diagram-section', 'prob-section', 'eval-section']
+    .forEach(id => { document.getElementById(id).style.display = ''; });
+  ['restart-card', 'modsel-card']
+    .forEach(id => { document.getElementById(id).style.display = 'none'; });
+}
 
-  hmm.train((msg, iter, done) => {
-    // Log output line
+/** Render a trained run into the results view (stats, log, diagram, charts, tables). */
+function showRun(run) {
+  const { hmm } = run;
+  lastHMM = hmm;
+  lastRun = run;
+  destroyCharts();
+  clearEvaluation();
+
+  // ── Log ───────────────────────────────────────────────────────
+  const logBox = document.getElementById('log-output');
+  logBox.innerHTML = '';
+  run.log.forEach(({ msg, cls }) => {
     const line = document.createElement('div');
-    line.className = done ? 'log-ok' : (iter === 0 ? 'log-info' : '');
+    line.className = cls;
     line.textContent = msg;
     logBox.appendChild(line);
-    logBox.scrollTop = logBox.scrollHeight;
-
-    // Progress bar
-    document.getElementById('progress-fill').style.width =
-      Math.min(100, (iter + 1) / maxIter * 100) + '%';
-
-    // Push current model state to the diagram on every iteration
-    const ll = hmm.logLikeHistory[hmm.logLikeHistory.length - 1] ?? 0;
-    stdDiagram.feedIteration({
-      A:              hmm.A.map(r => [...r]),
-      B:              hmm.B.map(r => [...r]),
-      pi:             [...hmm.pi],
-      iteration:      iter + 1,
-      log_likelihood: ll,
-    });
   });
+  logBox.scrollTop = logBox.scrollHeight;
 
+  // ── Diagram: replay every iteration ───────────────────────────
+  initDiagram();
+  stdDiagram.setPinned(pinnedMask(hmm));
+  stdDiagram.setSymbols(hmm.symbols);
+  run.snapshots.forEach(snap => stdDiagram.feedIteration(snap));
   stdDiagram.onComplete();
 
   // ── Render results ────────────────────────────────────────────
   const finalLL = hmm.logLikeHistory.at(-1);
-  document.getElementById('stat-loglik').textContent = finalLL.toFixed(4);
+  document.getElementById('stat-loglik').textContent = finalLL === undefined ? '—' : finalLL.toFixed(4);
+  document.getElementById('stat-loglik-label').textContent = `${hmm.objectiveLabel} — final`;
   document.getElementById('stat-iters').textContent  = hmm.iterations;
 
   const sv = document.getElementById('stat-converged');
-  sv.textContent = hmm.converged ? 'Converged ✓' : 'Max Iters Reached';
-  sv.className   = 'stat-value ' + (hmm.converged ? 'converged' : 'not-converged');
+  sv.textContent = hmm.converged ? 'Converged ✓' : hmm.stoppedEarly ? 'Stopped Early' : 'Max Iters Reached';
+  sv.className   = 'stat-value ' + (hmm.converged || hmm.stoppedEarly ? 'converged' : 'not-converged');
 
   document.getElementById('progress-fill').style.width = '100%';
 
   // Charts
-  buildConvChart(hmm.logLikeHistory);
-  buildGammaChart(hmm.finalGamma, N);
-  buildAlphaChart(hmm.finalAlpha, N);
+  buildConvChart(hmm.logLikeHistory, hmm.logPriorHistory, run.validation || heldOutSeries(hmm), hmm.objectiveLabel);
+  fillSequenceSelect(hmm.seqs);
+  renderSequenceCharts(hmm, 0);
 
   // Matrix tables
-  const stateLabels = Array.from({ length: N }, (_, i) => `S${i}`);
-  const obsLabels   = Array.from({ length: M }, (_, k) => `sym-${k}`);
-  renderMatrix(document.getElementById('A-table'), hmm.A, stateLabels, stateLabels);
-  renderMatrix(document.getElementById('B-table'), hmm.B, stateLabels, obsLabels);
+  renderTables(hmm);
+  renderTruthComparison(hmm);
+}
 
-  // π row
-  let ph = `<table><thead><tr>` + stateLabels.map(s => `<th>${s}</th>`).join('') + `</tr></thead><tbody><tr>`;
-  hmm.pi.forEach(v => {
-    ph += `<td><span class="heat-cell" style="background:${heatColor(v)}">${v.toFixed(4)}</span></td>`;
-  });
-  ph += `</tr></tbody></table>`;
-  document.getElementById('pi-table').innerHTML = ph;
+/** Rebuild the per-sequence charts (γ, Viterbi path, log α) for sequence r. */
+function renderSequenceCharts(hmm, r) {
+  [gammaChart, pathChart, alphaChart].forEach(c => { if (c) c.destroy(); });
+  gammaChart = pathChart = alphaChart = null;
+
+  const labels  = hmm.labels?.[r] || null;
+  const missing = missingMask(hmm.seqs[r]);
+  const bands   = [];
+  if (labels && labels.some(q => q !== null))
+    bands.push({ label: 'Clamped to label', mask: labels.map(q => q !== null), color: CLAMPED_COLOR });
+  if (missing.some(Boolean)) bands.push({ label: 'Missing observation', mask: missing, color: MISSING_COLOR });
+  gammaChart = buildGammaChart(hmm.finalGammas[r], hmm.N, 'gamma-chart', bands);
+  const decoded = hmm.viterbi(hmm.seqs[r], labels);
+  pathChart = buildPathChart(decoded.path, hmm.N, 'path-chart', 'path-legend', missing);
+  document.getElementById('path-logprob').textContent = decoded.logProb.toFixed(4);
+  buildAlphaChart(hmm.finalAlphas[r], hmm.N);
+}
+
+/** Populate the sequence picker; it is only shown when there is a choice. */
+function fillSequenceSelect(seqs) {
+  const wrap = document.getElementById('seq-select-wrap');
+  const sel  = document.getElementById('seq-select');
+  sel.innerHTML = seqs.map((s, r) => `<option value="${r}">Sequence ${r + 1} (T = ${s.length})</option>`).join('');
+  sel.onchange = () => { if (lastHMM) renderSequenceCharts(lastHMM, parseInt(sel.value)); };
+  wrap.style.display = seqs.length > 1 ? '' : 'none';
 }
 
 /** Load the built-in weather example into the input fields. */
@@ -305,9 +847,1904 @@ function loadExample() {
   document.getElementById('obs-input').value = '0 0 1 1 2 0 0 1 2 2 1 0 0 0 1 1 2 1 0 0 1 2 0 0 1';
   document.getElementById('n-states').value  = '2';
   document.getElementById('m-symbols').value = '3';
+  document.getElementById('vocab-input').value = '';
   document.getElementById('max-iter').value  = '100';
   document.getElementById('epsilon').value   = '1e-7';
   document.getElementById('seed').value      = '7';
+  document.getElementById('emission-type').value = 'discrete';
+  document.getElementById('trainer').value   = 'baum-welch';
+  document.getElementById('topology').value  = 'ergodic';
+  document.getElementById('constraints-input').value = '';
+  document.getElementById('labels-input').value = '';
+  ['prior-pi', 'prior-A', 'prior-B'].forEach(id => { document.getElementById(id).value = '1'; });
+  document.getElementById('validation').value = 'none';
+  document.getElementById('patience').value   = '0';
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §8  RESTARTS  (multi-seed training, best-model selection)
+// ══════════════════════════════════════════════════════════════
+
+// #region §8 Restarts
+
+let restartChart = null;
+let restartRuns  = [];
+let restartBest  = 0;
+
+/** Show the restart summary and load the best restart into the results view. */
+function showRestarts(records, result) {
+  restartRuns = records;
+  restartBest = result.bestIndex;
+  const { summary, bestIndex } = result;
+  // The worker only posts the λ, so score every restart here as trainWithRestarts() did
+  records.forEach(rec => { rec.score = restartScore(rec.hmm); });
+
+  const scoreName = records[0].hmm.prior ? 'log posterior' : 'log P(O|λ)';
+  document.getElementById('restart-card').style.display = '';
+  document.getElementById('restart-title').textContent = `Restarts — final ${scoreName} per seed`;
+  document.getElementById('restart-score-head').textContent = `Final ${scoreName}`;
+  document.getElementById('restart-summary').innerHTML =
+    [['best', summary.max], ['median', summary.median], ['IQR', `${summary.q1.toFixed(4)} … ${summary.q3.toFixed(4)}`],
+     ['worst', summary.min], ['sd', summary.sd]]
+      .map(([k, v]) => `<span><b>${k}</b> ${typeof v === 'number' ? v.toFixed(4) : v}</span>`).join('');
+
+  buildRestartChart(records, summary, bestIndex, scoreName);
+  loadRestart(bestIndex);
+}
+
+/** Load restart r into the diagram, charts and tables. */
+function loadRestart(r) {
+  const run = restartRuns[r];
+  if (!run) return;
+  showRun(run);
+
+  const tbody = document.getElementById('restart-table');
+  tbody.innerHTML = restartRuns.map((rec, i) => {
+    const h = rec.hmm;
+    return `<tr class="${i === r ? 'restart-loaded' : ''}">
+      <td>${i + 1}${i === restartBest ? ' ★' : ''}</td><td>${rec.seed}</td>
+      <td>${rec.score.toFixed(4)}</td><td>${h.iterations}</td>
+      <td>${h.converged ? '✓' : '—'}</td>
+      <td><button class="std-ctrl-btn restart-load" onclick="loadRestart(${i})" ${i === r ? 'disabled' : ''}>Load</button></td>
+    </tr>`;
+  }).join('');
+}
+
+/**
+ * Final score of every restart (see restartScore) as a scatter, with the
+ * median and quartiles drawn across it as a flat box. Click a point to
+ * load it.
+ */
+function buildRestartChart(records, summary, bestIndex, scoreName) {
+  if (restartChart) restartChart.destroy();
+  const R   = records.length;
+  const pts = records.map((rec, i) => ({ x: i + 1, y: rec.score }));
+  const hline = (y, label, dash) => ({
+    type: 'line', label, data: [{ x: 0.5, y }, { x: R + 0.5, y }],
+    borderColor: '#4e5a6e', borderDash: dash, borderWidth: 1, pointRadius: 0, fill: false,
+  });
+  const opts = baseOpts('Restart', `final ${scoreName}`);
+  opts.scales.x.type = 'linear';
+  opts.scales.x.min  = 0.5;
+  opts.scales.x.max  = R + 0.5;
+  opts.scales.x.ticks.stepSize = 1;
+  opts.plugins.legend.labels.filter = item => item.text !== '';
+  opts.onClick = (ev, els) => {
+    const hit = els.find(e => e.datasetIndex === 0);
+    if (hit) loadRestart(hit.index);
+  };
+
+  const ctx = document.getElementById('restart-chart').getContext('2d');
+  restartChart = new Chart(ctx, {
+    type: 'scatter',
+    data: {
+      datasets: [
+        {
+          label: 'Restart',
+          data: pts,
+          pointRadius: pts.map((_, i) => i === bestIndex ? 7 : 5),
+          pointBackgroundColor: pts.map((_, i) => i === bestIndex ? '#10b981' : '#7c3aed'),
+          pointBorderColor: 'transparent',
+        },
+        hline(summary.median, 'median', []),
+        hline(summary.q1, 'Q1 / Q3', [4, 3]),
+        hline(summary.q3, '', [4, 3]),
+      ],
+    },
+    options: opts,
+  });
 }
 
+/**
+ * Cancelled restarts: compare the ones that finished, or keep the
+ * partial model when not even the first did.
+ */
+function cancelRestarts(job) {
+  const { runs, total } = job;
+  if (!runs.length) {
+    keepPartialModel(job);
+    return;
+  }
+  const scores    = runs.map(rec => restartScore(rec.hmm));
+  const bestIndex = scores.indexOf(Math.max(...scores));
+  showRestarts(runs, { bestIndex, summary: summarise(scores) });
+  document.getElementById('restart-summary').insertAdjacentHTML('beforeend',
+    `<span><b>cancelled</b> after ${runs.length} of ${total} restarts</span>`);
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §9  MODEL SELECTION  (AIC / BIC / held-out over a range of N)
+// ══════════════════════════════════════════════════════════════
+
+// #region §9 Model Selection
+
+let modselChart  = null;
+let modselRuns   = {};
+let modselResult = null;
+
+/** Button handler — trains N = n-min … n-max and shows the comparison. */
+function runModelSelection() {
+  const cfg = readConfig();
+  if (!cfg) return;
+  const nMin = Math.max(1, parseInt(document.getElementById('n-min').value) || 1);
+  const nMax = Math.max(nMin, parseInt(document.getElementById('n-max').value) || nMin);
+
+  stopBackgroundTraining();
+  revealResults();
+  document.getElementById('modsel-card').style.display = '';
+
+  // Pins, ties and labels name particular states, so only the topology carries over to other N
+  const c    = cfg.opts.constraints;
+  const opts = { ...cfg.opts, labels: undefined, constraints: c && c.topology !== 'ergodic' ? { topology: c.topology, band: c.band } : undefined };
+  const dropped = c && (c.pins.length || c.ties.length);
+
+  const range = { nMin, nMax, restarts: cfg.restarts };
+  const show  = (sel, runOf) => showModelSelection(sel, runOf, cfg, dropped);
+
+  // The worker trains on the same split selectModelOrder() makes
+  const { train } = splitHoldOut(cfg.seqs, 0.2, HMM.observationDim(opts.emission || 'discrete', cfg.M));
+  startWorker({ job: 'modsel', seqs: cfg.seqs, M: cfg.M, opts, range }, {
+    cfg, total: (nMax - nMin + 1) * cfg.restarts,
+    onRun:    ({ seed, N }) => ({ seqs: train, N, M: cfg.M, opts: { ...opts, seed } }),
+    onDone:   (sel, job) => show(sel, r => job.runs[r.run]),
+    onCancel: job => {
+      document.getElementById('modsel-card').style.display = 'none';
+      keepPartialModel(job);
+    },
+  }, () => {
+    const records = new Map();
+    const sel = selectModelOrder(cfg.seqs, cfg.M, opts, range, hmm => {
+      const run = recordRun(hmm);
+      records.set(hmm, run);
+      return run.callback;
+    });
+    show(sel, r => records.get(r.hmm));
+  });
+}
+
+/**
+ * Fill the model-selection card and open the recommended N. runOf(r)
+ * is the recorded run behind result r.
+ */
+function showModelSelection(sel, runOf, cfg, dropped) {
+  modselRuns = {};
+  sel.results.forEach(r => {
+    modselRuns[r.N] = runOf(r);
+    r.hmm = modselRuns[r.N].hmm;
+  });
+  modselResult = sel;
+
+  document.getElementById('modsel-note').textContent =
+    `Trained on ${sel.nTrain} observations; ` +
+    (sel.nHeldOut ? `${sel.nHeldOut} held out for scoring.` : 'not enough data to hold any out.') +
+    (cfg.restarts > 1 ? ` Best of ${cfg.restarts} restarts per N.` : '') +
+    (dropped ? ' Pins and ties are ignored here; only the topology applies.' : '') +
+    (cfg.opts.labels ? ' State labels are ignored here.' : '');
+
+  buildModelSelChart(sel);
+  openModelOrder(sel.recommended);
+}
+
+/** Load the model trained with N states into the results view. */
+function openModelOrder(N) {
+  const sel = modselResult;
+  const run = modselRuns[N];
+  if (!run) return;
+  showRun(run);
+
+  const fmt = v => v === null ? '—' : v.toFixed(2);
+  document.getElementById('modsel-table').innerHTML = sel.results.map(r => `
+    <tr class="${r.N === N ? 'restart-loaded' : ''}">
+      <td>${r.N}${r.N === sel.recommended ? ' ★' : ''}</td><td>${r.k}</td>
+      <td>${fmt(r.logLik)}</td><td>${fmt(r.aic)}</td><td>${fmt(r.bic)}</td><td>${fmt(r.heldOutLL)}</td>
+      <td><button class="std-ctrl-btn restart-load" onclick="openModelOrder(${r.N})" ${r.N === N ? 'disabled' : ''}>Open</button></td>
+    </tr>`).join('');
+}
+
+/** AIC and BIC (left axis) and held-out log-likelihood (right axis) against N. */
+function buildModelSelChart(sel) {
+  if (modselChart) modselChart.destroy();
+  const labels = sel.results.map(r => r.N);
+  const isRec  = sel.results.map(r => r.N === sel.recommended);
+  const line = (label, data, color, yAxisID) => ({
+    label, data, yAxisID, borderColor: color, backgroundColor: color,
+    tension: 0.2, borderWidth: 2,
+    pointRadius: isRec.map(b => b ? 7 : 4),
+    pointStyle: isRec.map(b => b ? 'star' : 'circle'),
+  });
+
+  const opts = baseOpts('Hidden states N', 'AIC / BIC (lower is better)');
+  opts.scales.y1 = {
+    ...baseOpts('', 'held-out log L (higher is better)').scales.y,
+    position: 'right',
+    grid: { drawOnChartArea: false },
+  };
+  opts.onClick = (ev, els) => { if (els.length) openModelOrder(labels[els[0].index]); };
+
+  const datasets = [
+    line('AIC', sel.results.map(r => r.aic), '#06b6d4', 'y'),
+    line('BIC', sel.results.map(r => r.bic), '#7c3aed', 'y'),
+  ];
+  if (sel.nHeldOut) datasets.push(line('held-out log L', sel.results.map(r => r.heldOutLL), '#10b981', 'y1'));
+  else delete opts.scales.y1;
+
+  const ctx = document.getElementById('modsel-chart').getContext('2d');
+  modselChart = new Chart(ctx, { type: 'line', data: { labels, datasets }, options: opts });
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §10  GENERATE  (sample synthetic data from a known model)
+// ══════════════════════════════════════════════════════════════
+
+// #region §10 Generate
+
+/** The model and hidden path behind the last generated sequence. */
+let generatedTruth = null;
+
+/** Parse a matrix typed one row per line, numbers separated by spaces or commas. */
+function parseMatrix(raw) {
+  return raw.trim().split(/\r?\n/)
+    .map(line => line.split(/[\s,]+/).filter(Boolean).map(Number))
+    .filter(row => row.length);
+}
+
+/** Keep the B label in step with the chosen emission type. */
+function syncGenerateLabels() {
+  const gauss = document.getElementById('gen-emission').value === 'gaussian';
+  document.getElementById('gen-B-label').textContent =
+    gauss ? 'B — one row per state: "μ σ²"' : 'B — one row per state (symbol probabilities)';
+}
+
+/**
+ * Build λ from the Generate panel, or alert and return null. Rows of π,
+ * A and discrete B must be probability distributions.
+ */
+function readGenerateModel() {
+  const pi  = parseMatrix(document.getElementById('gen-pi').value)[0] || [];
+  const A   = parseMatrix(document.getElementById('gen-A').value);
+  const B   = parseMatrix(document.getElementById('gen-B').value);
+  const N   = A.length;
+  const gauss = document.getElementById('gen-emission').value === 'gaussian';
+
+  const isDist = row => row.every(v => v >= 0) && Math.abs(row.reduce((a, b) => a + b, 0) - 1) < 1e-6;
+  const bad = [...pi, ...A.flat(), ...B.flat()].some(v => isNaN(v));
+  if (bad || !N || pi.length !== N || A.some(r => r.length !== N) || B.length !== N) {
+    alert('π needs N values, A needs N rows of N values, and B needs N rows.');
+    return null;
+  }
+  if (!isDist(pi) || !A.every(isDist)) {
+    alert('π and every row of A must be non-negative and sum to 1.');
+    return null;
+  }
+  if (gauss) {
+    if (B.some(r => r.length !== 2 || !(r[1] > 0))) {
+      alert('Each Gaussian B row is "μ σ²" with σ² > 0.');
+      return null;
+    }
+    return HMM.fromParams({ pi, A, emission: new GaussianEmission(B.map(r => [r[0]]), B.map(r => [r[1]])) });
+  }
+  if (B.some(r => r.length !== B[0].length) || !B.every(isDist)) {
+    alert('Every row of B must have the same length, be non-negative and sum to 1.');
+    return null;
+  }
+  return HMM.fromParams({ pi, A, B });
+}
+
+/** Button handler — sample from the typed-in λ and send the result to #obs-input. */
+function generateSequence() {
+  const model = readGenerateModel();
+  if (!model) return;
+  const T    = Math.max(2, parseInt(document.getElementById('gen-T').value) || 200);
+  const seed = parseInt(document.getElementById('gen-seed').value) || 1;
+  const { states, obs } = model.sample(T, seed);
+  const gauss = model.emissionType === 'gaussian';
+
+  generatedTruth = { hmm: model, states, obs };
+
+  document.getElementById('obs-input').value =
+    obs.map(o => gauss ? +o.toFixed(4) : o).join(' ');
+  document.getElementById('n-states').value      = model.N;
+  document.getElementById('m-symbols').value     = gauss ? '' : model.M;
+  document.getElementById('vocab-input').value   = '';
+  document.getElementById('emission-type').value = gauss ? 'gaussian' : 'discrete';
+
+  const preview = document.getElementById('gen-preview');
+  const head = states.slice(0, 80).map(q => `<span style="color:${PALETTE[q % PALETTE.length]}">${q}</span>`).join('');
+  preview.innerHTML = `<b>Hidden path q (first ${Math.min(80, T)} of ${T}):</b> ${head}${T > 80 ? '…' : ''}<br>` +
+    `<b>Sent ${T} observations to the input box.</b> Press ▶ Run to train on them.`;
+  preview.style.display = '';
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §11  GROUND TRUTH  (compare a trained model with the generating λ)
+// ══════════════════════════════════════════════════════════════
+
+// #region §11 Ground Truth
+
+/**
+ * True when hmm was trained on exactly the last generated sequence with
+ * a matching shape, so a comparison with generatedTruth is meaningful.
+ */
+function truthApplies(hmm) {
+  if (!generatedTruth) return false;
+  const { hmm: truth, obs } = generatedTruth;
+  if (hmm.N !== truth.N || hmm.emissionType !== truth.emissionType) return false;
+  if (truth.emissionType === 'discrete' && hmm.M !== truth.M) return false;
+  if (hmm.seqs.length !== 1 || hmm.O.length !== obs.length) return false;
+  return hmm.O.every((o, t) => Math.abs(o - obs[t]) < 1e-3);
+}
+
+/** Diverging colour for an error d: pink above zero, cyan below, |d| ≥ scale is full strength. */
+function diffColor(d, scale) {
+  const v = Math.min(1, Math.abs(d) / (scale || 1));
+  const rgb = d >= 0 ? '236,72,153' : '6,182,212';
+  return `rgba(${rgb},${(0.08 + v * 0.72).toFixed(2)})`;
+}
+
+/** Render learned − true as a table; colour is scaled by the largest |Δ| in the table. */
+function renderDiffMatrix(el, title, diff, rowLabels, colLabels) {
+  const scale = Math.max(1e-12, ...diff.flat().map(Math.abs));
+  let h = `<div class="truth-diff-title">${title}</div><table><thead><tr><th></th>`;
+  colLabels.forEach(c => { h += `<th>${c}</th>`; });
+  h += `</tr></thead><tbody>`;
+  diff.forEach((row, i) => {
+    h += `<tr><th>${rowLabels[i]}</th>`;
+    row.forEach(d => {
+      h += `<td><span class="heat-cell" style="background:${diffColor(d, scale)}">${d >= 0 ? '+' : ''}${d.toFixed(4)}</span></td>`;
+    });
+    h += `</tr>`;
+  });
+  h += `</tbody></table>`;
+  el.innerHTML = h;
+  el.style.display = '';
+}
+
+/**
+ * Fill the ground-truth card and the Δ tables under π, A and B, or hide
+ * them when the run was not trained on the last generated sequence.
+ */
+function renderTruthComparison(hmm) {
+  const card  = document.getElementById('truth-card');
+  const diffs = ['pi-diff', 'A-diff', 'B-diff'].map(id => document.getElementById(id));
+  if (!truthApplies(hmm)) {
+    card.style.display = 'none';
+    diffs.forEach(el => { el.style.display = 'none'; });
+    return;
+  }
+
+  const { hmm: truth, states } = generatedTruth;
+  const cmp = compareModels(hmm, truth);
+  const trueLabels = Array.from({ length: truth.N }, (_, k) => `S${k}*`);
+
+  renderDiffMatrix(diffs[0], 'Δ vs true π', cmp.pi.diff, [''], trueLabels);
+  renderDiffMatrix(diffs[1], 'Δ vs true A', cmp.A.diff, trueLabels, trueLabels);
+  renderDiffMatrix(diffs[2], 'Δ vs true emissions', cmp.B.diff, trueLabels, cmp.B.cols);
+
+  const viterbiAcc   = decodingAccuracy(hmm.viterbi().path, states, cmp.perm);
+  const posteriorAcc = decodingAccuracy(
+    hmm.finalGamma.map(g => g.indexOf(Math.max(...g))), states, cmp.perm);
+  const trueLL = truth.logLikelihood(hmm.seqs);
+  const stats = [
+    ['Viterbi accuracy',   `${(viterbiAcc * 100).toFixed(1)}%`],
+    ['Posterior accuracy', `${(posteriorAcc * 100).toFixed(1)}%`],
+    ['RMSE π / A / B',     [cmp.pi, cmp.A, cmp.B].map(e => e.rmse.toFixed(4)).join(' / ')],
+    ['log P(O|λ) learned', hmm.logLikelihood().toFixed(4)],
+    ['log P(O|λ) true',    trueLL.toFixed(4)],
+  ];
+  document.getElementById('truth-summary').innerHTML =
+    stats.map(([k, v]) => `<span><b>${k}</b>${v}</span>`).join('');
+
+  document.getElementById('truth-table').innerHTML = cmp.perm.map((learnedIdx, k) => {
+    const rowMax = m => Math.max(...m.diff[k].map(Math.abs)).toFixed(4);
+    return `<tr><td>S${k}*</td><td>S${learnedIdx}</td><td>${rowMax(cmp.A)}</td><td>${rowMax(cmp.B)}</td></tr>`;
+  }).join('');
+
+  card.style.display = '';
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §13  BACKGROUND TRAINING  (every training job runs in hmm-worker.js)
+// ══════════════════════════════════════════════════════════════
+//
+// Single runs, restarts, model selection and k-fold validation all
+// train in the worker. It posts every iteration, so the log, progress
+// bar and diagram fill in while training runs, the page stays
+// responsive and Cancel works on the longest jobs too. Where workers
+// are unavailable (e.g. Chrome on file://) a job falls back to the main
+// thread and only shows up when it is done.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §13 Background Training
+
+let trainingWorker = null;
+/**
+ * The job in flight: { cfg, total, done, runs, started, preface, onRun,
+ * onDone, onCancel } plus the model now training — record (its log and
+ * diagram snapshots), runCfg (its constructor arguments), initial and
+ * params (its first and latest λ), its three histories, and best, the
+ * λ that scored highest on validation data so far.
+ */
+let workerJob      = null;
+
+/**
+ * Start hmm-worker.js on a job (see the protocol in hmm-worker.js) and
+ * route its messages into the results view. Returns false when workers
+ * are unavailable; fallback() then runs the job on the main thread, as
+ * it also does if the worker fails before sending anything.
+ */
+function startWorker(message, job, fallback) {
+  let worker;
+  try {
+    worker = new Worker('hmm-worker.js');
+  } catch (e) {
+    fallback();
+    return false;
+  }
+
+  trainingWorker = worker;
+  workerJob = { total: 1, done: 0, runs: [], started: false, preface: [], record: { log: [], snapshots: [] }, ...job };
+
+  destroyCharts();
+  document.getElementById('log-output').innerHTML = '';
+  document.getElementById('progress-fill').style.width = '0%';
+  document.getElementById('stat-converged').textContent = 'Training…';
+  document.getElementById('stat-converged').className = 'stat-value';
+  document.getElementById('btn-cancel').style.display = '';
+
+  worker.onmessage = ({ data }) => {
+    if (worker !== trainingWorker) return;
+    workerJob.started = true;
+    if (data.type === 'run')     beginModel(workerJob.onRun(data), data.seed);
+    if (data.type === 'iter')    onWorkerIteration(data);
+    if (data.type === 'log')     appendLog({ msg: data.message, cls: 'log-ok' });
+    if (data.type === 'runDone') onWorkerRunDone(data);
+    if (data.type === 'done')    { const job = workerJob; stopBackgroundTraining(); job.onDone(data, job); }
+    if (data.type === 'error')   { stopBackgroundTraining(); alert(data.message); }
+  };
+  // A worker that cannot load its scripts fails here before any message
+  worker.onerror = ev => {
+    ev.preventDefault();
+    if (worker !== trainingWorker) return;
+    const started = workerJob.started;
+    stopBackgroundTraining();
+    if (started) alert(`Training failed: ${ev.message}`);
+    else fallback();
+  };
+  worker.postMessage(message);
+  return true;
+}
+
+/**
+ * Point the live view at the next model of the job: a fresh log (after
+ * the job's preface lines) and diagram. Returns the model as built here,
+ * which starts from the same λ as the worker's (same arguments and seed).
+ */
+function beginModel(runCfg, seed) {
+  const hmm = new HMM(runCfg.seqs, runCfg.N, runCfg.M, runCfg.opts);
+  Object.assign(workerJob, {
+    runCfg, record: { hmm, log: [], snapshots: [], seed },
+    initial: { pi: hmm.pi, A: hmm.A, emission: hmm.emission }, params: null, best: null,
+    logLikeHistory: [], logPriorHistory: [], validLogLikeHistory: [],
+  });
+  document.getElementById('log-output').innerHTML = '';
+  workerJob.preface.forEach(appendLog);
+  document.getElementById('stat-loglik-label').textContent = `${hmm.objectiveLabel} — final`;
+  initDiagram();
+  stdDiagram.setPinned(pinnedMask(hmm));
+  stdDiagram.setSymbols(hmm.symbols);
+  return hmm;
+}
+
+/** Train one model in the worker, streaming progress into the results view. */
+function trainInBackground(cfg, { preface = [], validation = null, onShown = null } = {}) {
+  const { seqs, N, M, opts } = cfg;
+  const show = run => {
+    run.validation = validation;
+    showRun(run);
+    if (onShown) onShown(run.hmm);
+  };
+  const job = {
+    cfg, preface,
+    onDone: (data, { record, runCfg }) => {
+      record.hmm = restoreModel(runCfg, reviveParams(data.params), data);
+      show(record);
+    },
+  };
+  const started = startWorker({ job: 'train', seqs, N, M, opts }, job, () => {
+    const run = recordRun(new HMM(seqs, N, M, opts));
+    run.log.push(...preface);
+    run.hmm.train(run.callback);
+    show(run);
+  });
+  if (started) beginModel(cfg, opts.seed);
+}
+
+/** Add one line to the current model's log and to #log-output. */
+function appendLog(entry) {
+  workerJob.record.log.push(entry);
+  const logBox = document.getElementById('log-output');
+  const line = document.createElement('div');
+  line.className = entry.cls;
+  line.textContent = entry.msg;
+  logBox.appendChild(line);
+  logBox.scrollTop = logBox.scrollHeight;
+}
+
+/** A λ as posted by the worker, with its emission model rebuilt. */
+function reviveParams(params) {
+  return { ...params, emission: reviveEmission(params.emission) };
+}
+
+/** Live update for one 'iter' message: log, stats, progress bar, diagram. */
+function onWorkerIteration(data) {
+  const job = workerJob;
+  const params = reviveParams(data.params);
+  // validLogLik scores the λ this update started from
+  if (data.validLogLik !== null) {
+    job.validLogLikeHistory.push(data.validLogLik);
+    if (!job.best || data.validLogLik > job.best.validLL)
+      job.best = { validLL: data.validLogLik, iteration: data.iteration, params: job.params || job.initial };
+  }
+  job.params = params;
+  job.logLikeHistory.push(data.logLik);
+  if (job.runCfg.opts.prior) job.logPriorHistory.push(data.logPrior);
+
+  appendLog({ msg: data.message, cls: data.iteration === 1 ? 'log-info' : '' });
+  document.getElementById('stat-loglik').textContent = data.logLik.toFixed(4);
+  document.getElementById('stat-iters').textContent  = data.iteration;
+  const part = Math.min(1, data.iteration / (job.runCfg.opts.maxIter || 100));
+  document.getElementById('progress-fill').style.width = `${100 * (job.done + part) / job.total}%`;
+
+  const snap = diagramSnapshot(params, data.iteration, data.logLik);
+  job.record.snapshots.push(snap);
+  stdDiagram.feedIteration(snap);
+}
+
+/** A multi-model job finished one model: keep it, rebuilt, with its record. */
+function onWorkerRunDone(data) {
+  const job = workerJob;
+  job.record.hmm = restoreModel(job.runCfg, reviveParams(data.params), data);
+  job.runs.push(job.record);
+  job.done++;
+}
+
+/** New HMM holding λ = params and the given training history. */
+function restoreModel(cfg, params, history) {
+  const hmm = new HMM(cfg.seqs, cfg.N, cfg.M, { ...cfg.opts, init: params });
+  hmm.logLikeHistory      = history.logLikeHistory;
+  hmm.logPriorHistory     = history.logPriorHistory;
+  hmm.validLogLikeHistory = history.validLogLikeHistory;
+  hmm.iterations          = history.iterations;
+  hmm.converged           = history.converged;
+  hmm.stoppedEarly        = !!history.stoppedEarly;
+  hmm.bestIteration       = history.bestIteration ?? null;
+  hmm._finalise();
+  return hmm;
+}
+
+/**
+ * The model a cancelled job was training, rebuilt on this thread, or
+ * null before its first update. With validation data it is the λ that
+ * scored best there — what early stopping would keep; the latest λ
+ * only wins if it scores better still. Without validation it is the
+ * latest λ: every update raises the trainer's objective (log P(O|λ),
+ * the log posterior with priors, log P(O, Q*|λ) for Viterbi training),
+ * so that is the furthest the run got.
+ */
+function partialModel(job) {
+  const { runCfg, params, best, logLikeHistory, logPriorHistory, validLogLikeHistory } = job;
+  if (!params) return null;
+  const history = { logLikeHistory, logPriorHistory, validLogLikeHistory, iterations: logLikeHistory.length, converged: false };
+  const latest  = restoreModel(runCfg, params, history);
+  if (!best || latest.logLikelihood(latest.validSeqs) >= best.validLL) return latest;
+  const kept = restoreModel(runCfg, best.params, history);
+  kept.bestIteration = best.iteration;
+  return kept;
+}
+
+/** Cancel button — stop the worker and show what the job had reached. */
+function cancelTraining() {
+  if (!trainingWorker) return;
+  const job = workerJob;
+  stopBackgroundTraining();
+  (job.onCancel || keepPartialModel)(job);
+}
+
+/** Default cancel: show the model in training as it stood (see partialModel). */
+function keepPartialModel(job) {
+  const hmm = partialModel(job);
+  if (hmm) {
+    const kept = hmm.bestIteration
+      ? `keeping λ from iteration ${hmm.bestIteration}, the best on validation data (${job.best.validLL.toFixed(4)})`
+      : 'keeping the model reached so far';
+    appendLog({ msg: `■ Cancelled after iteration ${hmm.iterations} — ${kept}`, cls: 'log-warn' });
+    job.record.hmm = hmm;
+    showRun(job.record);
+  }
+  document.getElementById('stat-converged').textContent = 'Cancelled';
+}
+
+/** Terminate any run in flight; its results are discarded. */
+function stopBackgroundTraining() {
+  if (trainingWorker) trainingWorker.terminate();
+  trainingWorker = null;
+  document.getElementById('btn-cancel').style.display = 'none';
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §16  SAVE / LOAD  (trained models as versioned JSON files)
+// ══════════════════════════════════════════════════════════════
+//
+// Export writes HMM.toJSON() of the model on screen. An imported
+// model can decode the sequences in the input box as they are, or be
+// the starting λ for more training on them.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §16 Save / Load
+
+/** The last imported model file, as parsed JSON (see HMM.toJSON). */
+let loadedModel = null;
+
+/** Export button — download the model on screen as JSON. */
+function exportModel() {
+  if (!lastHMM) { alert('Train a model first — there is nothing to export yet.'); return; }
+  downloadText(JSON.stringify(lastHMM, null, 2), `${exportStem(lastHMM)}.json`, 'application/json');
+}
+
+/** Import button — check a saved model and copy its settings into the form. */
+async function importModel(file) {
+  if (!file) return;
+  let hmm;
+  try {
+    hmm = HMM.fromJSON(await file.text());
+  } catch (e) {
+    alert(`Could not load ${file.name}: ${e.message}`);
+    return;
+  }
+  loadedModel = hmm.toJSON();
+  fillFormFromModel(hmm);
+
+  // Every value below came from the file, so all of it is escaped
+  const { N, M, emissionType, iterations, logLikeHistory } = hmm;
+  const shape = emissionType === 'discrete' ? `M = ${M} symbols` : `${emissionType}, D = ${M}`;
+  const ll = logLikeHistory.length ? logLikeHistory.at(-1).toFixed(4) : '—';
+  document.getElementById('model-summary').innerHTML =
+    `<b>Loaded:</b> ${escapeHTML(file.name)}<br>` +
+    `<b>λ:</b> ${escapeHTML(`N = ${N} states, ${shape}`)}${hmm.symbols ? ` (${hmm.symbols.map(escapeHTML).join(', ')})` : ''}<br>` +
+    `<b>Trained:</b> ${escapeHTML(`${iterations} iterations, final ${hmm.objectiveLabel} = ${ll}`)}`;
+  document.getElementById('model-status').style.display = '';
+}
+
+/** Put a model's shape and training settings into the Configure form. */
+function fillFormFromModel(hmm) {
+  const set = (id, v) => { document.getElementById(id).value = v; };
+  const spec = hmm.constraintSpec;
+  set('n-states', hmm.N);
+  set('emission-type', hmm.emissionType);
+  set('m-symbols', hmm.emissionType === 'discrete' ? hmm.M : '');
+  set('vocab-input', hmm.symbols ? hmm.symbols.join(' ') : '');
+  if (hmm.emissionType === 'gmm') set('n-mix', hmm.emission.K);
+  set('max-iter', hmm.maxIter);
+  set('epsilon', hmm.epsilon);
+  set('trainer', hmm.trainer);
+  set('seed', hmm.seed);
+  set('restarts', 1);
+  set('topology', spec?.topology || 'ergodic');
+  if (spec?.band !== undefined) set('band', spec.band);
+  set('constraints-input', formatConstraints(spec));
+  set('prior-pi', hmm.prior?.pi ?? 1);
+  set('prior-A',  hmm.prior?.A  ?? 1);
+  set('prior-B',  hmm.prior?.B  ?? 1);
+  set('patience', hmm.earlyStopping);
+}
+
+/**
+ * readConfig() for a run on the loaded model, or null (after alerting)
+ * when there is none or the input data does not fit it.
+ */
+function readLoadedModelConfig() {
+  if (!loadedModel) { alert('Import a model first.'); return null; }
+  const cfg = readConfig();
+  if (!cfg) return null;
+
+  const { N, M, emission } = loadedModel;
+  if (cfg.N !== N || cfg.opts.emission !== emission.type) {
+    alert(`The loaded model has N = ${N} and ${emission.type} emissions — set the form back to match, or import it again.`);
+    return null;
+  }
+  const problem = dataMismatch(cfg.seqs, emission.type, M);
+  if (problem) { alert(problem); return null; }
+  return { ...cfg, M };
+}
+
+/** Decode button — γ, Viterbi and log P(O|λ) of the input under the loaded λ, no training. */
+function decodeWithLoadedModel() {
+  const cfg = readLoadedModelConfig();
+  if (!cfg) return;
+  stopBackgroundTraining();
+
+  const hmm = HMM.fromJSON(loadedModel, cfg.seqs);
+  hmm._finalise();
+  const logLik = hmm.logLikelihood();
+  const run = {
+    hmm,
+    log: [{ msg: `Decoded ${hmm.seqs.length} sequence(s), T = ${hmm.T}, with the loaded model — λ unchanged`, cls: 'log-info' }],
+    snapshots: [diagramSnapshot(hmm, hmm.iterations, logLik)],
+  };
+  revealResults();
+  showRun(run);
+  document.getElementById('stat-loglik').textContent = logLik.toFixed(4);
+  document.getElementById('stat-converged').textContent = 'Loaded model';
+  document.getElementById('stat-converged').className = 'stat-value';
+}
+
+/** Continue button — train on the input from the loaded λ, with the form's validation setting. */
+function continueLoadedModel() {
+  let cfg = readLoadedModelConfig();
+  if (!cfg) return;
+  const { pi, A, emission, symbols } = loadedModel;
+  cfg = { ...cfg, opts: { ...cfg.opts, symbols, init: { pi, A, emission } } };
+  if (cfg.validation.mode === 'holdout' && !(cfg = withHoldOut(cfg))) return;
+  revealResults();
+  stopBackgroundTraining();
+  if (cfg.validation.mode === 'kfold') {
+    runCrossValidation(cfg);
+    return;
+  }
+  // Every restart would start from the same saved λ, so there is one run to make
+  const preface = cfg.restarts > 1
+    ? [{ msg: `Restarts = ${cfg.restarts} does not apply here — every restart would start from the loaded λ, so it is trained once`, cls: 'log-warn' }]
+    : [];
+  trainInBackground(cfg, { preface });
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §17  EVALUATE  (score and decode sequences the model has not seen)
+// ══════════════════════════════════════════════════════════════
+//
+// Works on whatever model is on screen (lastHMM): trained, picked from
+// restarts or model selection, or imported. Showing a different model
+// clears the results, since they belong to the old one.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §17 Evaluate
+
+let evalCharts = [];
+/** { results, threshold, width } of the last evaluation — see evaluateSequences(). */
+let evalRun    = null;
+
+const ANOMALY_COLOR = 'rgba(236,72,153,0.18)';
+
+/** Evaluate button — score every sequence in #eval-input against lastHMM. */
+function runEvaluation() {
+  if (!lastHMM) { alert('Train or import a model first.'); return; }
+  let seqs;
+  try {
+    seqs = parseSequences(document.getElementById('eval-input').value);
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  if (!seqs.length) { alert('Enter at least one sequence to evaluate.'); return; }
+  if (lastHMM.emissionType === 'discrete') {
+    try {
+      seqs = encodeSymbols(seqs, lastHMM.symbols || []).seqs;
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+  } else if (firstText(seqs) !== undefined) {
+    alert(`Cannot read "${firstText(seqs)}" — this model takes numeric observations.`);
+    return;
+  }
+  const problem = dataMismatch(seqs, lastHMM.emissionType, lastHMM.M);
+  if (problem) { alert(problem); return; }
+
+  const width = Math.max(1, parseInt(document.getElementById('eval-window').value) || 1);
+  const raw    = document.getElementById('eval-threshold').value.trim();
+  const threshold = raw ? parseFloat(raw) : anomalyThreshold(lastHMM, width);
+  if (raw && isNaN(threshold)) { alert('The threshold must be a number, or blank for auto.'); return; }
+  if (threshold === null) {
+    alert('Enter a threshold — this model holds no training data to derive one from.');
+    return;
+  }
+
+  const results = evaluateSequences(lastHMM, seqs, width);
+  results.forEach(r => { r.anomalies = findAnomalies(r.windowLogLik, threshold, width); });
+  evalRun = { results, threshold, width };
+
+  const flagged = results.filter(r => r.anomalies.length).length;
+  document.getElementById('eval-summary').innerHTML =
+    [['sequences', results.length], ['flagged', flagged], ['window', width],
+     ['threshold', `${threshold.toFixed(4)}${raw ? '' : ' (auto)'}`]]
+      .map(([k, v]) => `<span><b>${k}</b> ${v}</span>`).join('');
+  document.getElementById('eval-results').style.display = '';
+  showEvaluation(Math.max(0, results.findIndex(r => r.anomalies.length)));
+}
+
+/** Fill the results table and draw the charts for sequence r. */
+function showEvaluation(r) {
+  const { results, threshold, width } = evalRun;
+  const res = results[r];
+
+  document.getElementById('eval-table').innerHTML = results.map((x, i) => {
+    const steps = x.anomalies.map(a => a.start === a.end ? `${a.start}` : `${a.start}–${a.end}`).join(', ');
+    // Every window can be missing (sequence shorter than the window, or all gaps)
+    const scored = x.windowLogLik.filter(v => v !== null);
+    return `<tr class="${i === r ? 'restart-loaded' : ''}">
+      <td>${i + 1}${x.anomalies.length ? ' ⚠' : ''}</td><td>${x.T}</td>
+      <td>${x.logLik.toFixed(4)}</td><td>${x.perSymbol.toFixed(4)}</td>
+      <td>${scored.length ? Math.min(...scored).toFixed(4) : '—'}</td><td>${steps || '—'}</td>
+      <td><button class="std-ctrl-btn restart-load" onclick="showEvaluation(${i})" ${i === r ? 'disabled' : ''}>Show</button></td>
+    </tr>`;
+  }).join('');
+
+  evalCharts.forEach(c => c.destroy());
+  const mask = new Uint8Array(res.T);
+  res.anomalies.forEach(a => mask.fill(1, a.start, a.end + 1));
+  const missing = res.stepLogLik.map(v => v === null);
+  const bands   = [{ label: 'Below threshold', mask, color: ANOMALY_COLOR }];
+  if (missing.some(Boolean)) bands.push({ label: 'Missing observation', mask: missing, color: MISSING_COLOR });
+  evalCharts = [
+    buildEvalChart(res, threshold, width),
+    buildGammaChart(res.gamma, lastHMM.N, 'eval-gamma-chart', bands),
+    buildPathChart(res.path, lastHMM.N, 'eval-path-chart', 'eval-path-legend', missing),
+  ];
+  document.getElementById('eval-path-logprob').textContent = res.pathLogProb.toFixed(4);
+  document.getElementById('eval-chart-title').textContent = `Sequence ${r + 1} — per-step log-likelihood`;
+}
+
+/** Per-step scores, their window mean and the threshold; flagged windows in pink, missing steps as gaps. */
+function buildEvalChart(res, threshold, width) {
+  const ctx = document.getElementById('eval-ll-chart').getContext('2d');
+  const low = res.windowLogLik.map(v => v !== null && v < threshold);
+  return new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: res.stepLogLik.map((_, t) => t),
+      datasets: [{
+        label: 'log P(oₜ | o₁…oₜ₋₁)',
+        data: res.stepLogLik,
+        borderColor: '#06b6d4', backgroundColor: '#06b6d4',
+        tension: 0.2, pointRadius: 0, borderWidth: 1,
+      }, {
+        label: width > 1 ? `mean over ${width} steps` : 'flagged',
+        data: res.windowLogLik,
+        borderColor: '#7c3aed', backgroundColor: '#7c3aed',
+        tension: 0.2, borderWidth: width > 1 ? 2 : 0,
+        pointRadius: low.map(l => l ? 3 : 0), pointBackgroundColor: '#ec4899',
+      }, {
+        label: 'threshold',
+        data: res.stepLogLik.map(() => threshold),
+        borderColor: '#ec4899', backgroundColor: '#ec4899',
+        borderDash: [5, 4], pointRadius: 0, borderWidth: 1.5,
+      }],
+    },
+    options: baseOpts('Time step t', 'log-likelihood per step'),
+  });
+}
+
+/** Drop the results of the previous model's evaluation. */
+function clearEvaluation() {
+  evalCharts.forEach(c => c.destroy());
+  evalCharts = [];
+  evalRun = null;
+  document.getElementById('eval-results').style.display = 'none';
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §18  VALIDATION  (held-out data, k-fold cross-validation)
+// ══════════════════════════════════════════════════════════════
+//
+// Training log-likelihood only goes up, so it cannot show overfitting.
+// Hold-out tracks the score of data kept out of training on the
+// convergence chart; k-fold does the same over k splits and uses the
+// combined curve to decide how long to train on the full data.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §18 Validation
+
+/**
+ * cfg with the last 20% of the data moved into opts.validation (the
+ * same split as model selection), or null after alerting when there is
+ * too little to spare.
+ */
+function withHoldOut(cfg) {
+  const { train, heldOut } = splitHoldOut(cfg.seqs);
+  if (!heldOut.length) {
+    alert('Too little data to hold any out — use at least 10 observations or several sequences.');
+    return null;
+  }
+  // The split depends only on the sequence lengths, so labels split alike
+  const labels = cfg.opts.labels && splitHoldOut(cfg.opts.labels).train;
+  return { ...cfg, seqs: train, opts: { ...cfg.opts, labels, validation: heldOut } };
+}
+
+/** Conv-chart series for a model trained with opts.validation, or null. */
+function heldOutSeries(hmm) {
+  if (!hmm.validLogLikeHistory.length) return null;
+  return { label: 'held-out log P(O|λ) (right axis)', data: hmm.validLogLikeHistory, best: hmm.bestIteration };
+}
+
+/**
+ * k-fold run: cross-validate in the worker, then train one model on all
+ * the data — for the best iteration count when early stopping is on —
+ * and show it with the folds' combined validation curve.
+ */
+function runCrossValidation(cfg) {
+  const { seqs, N, M, opts, validation: { k } } = cfg;
+  let splits;
+  try {
+    splits = kFoldSplits(seqs, k, HMM.observationDim(opts.emission || 'discrete', M));
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  const labelSplits = opts.labels ? kFoldSplits(opts.labels, k) : null;
+
+  startWorker({ job: 'kfold', seqs, N, M, opts, k }, {
+    cfg, total: k,
+    onRun: ({ fold }) => ({
+      seqs: splits[fold].train, N, M,
+      opts: { ...opts, labels: labelSplits?.[fold].train, validation: splits[fold].test, earlyStopping: 0 },
+    }),
+    onDone: cv => trainCrossValidated(cfg, cv, cv.folds),
+    onCancel: job => {
+      appendLog({ msg: `■ Cross-validation cancelled in fold ${job.runs.length + 1}/${k} — nothing trained on all the data yet`, cls: 'log-warn' });
+      document.getElementById('stat-converged').textContent = 'Cancelled';
+    },
+  }, () => {
+    let cv;
+    try {
+      cv = crossValidate(seqs, N, M, opts, k);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    trainCrossValidated(cfg, cv, cv.folds.map(({ hmm, test }) => ({
+      iterations: hmm.iterations, validLogLik: hmm.validLogLikeHistory.at(-1), nTest: countObserved(test),
+    })));
+  });
+}
+
+/**
+ * Second half of a k-fold run: log each fold's result (folds as the
+ * worker posts them) and train the final model on all the data.
+ */
+function trainCrossValidated(cfg, cv, folds) {
+  const { seqs, N, M, opts, validation: { k } } = cfg;
+  const preface = folds.map(({ iterations, validLogLik, nTest }, f) => ({
+    msg: `Fold ${f + 1}/${k}: ${iterations} iterations, held-out log P(O|λ) = ${validLogLik.toFixed(4)} over ${nTest} observations`,
+    cls: 'log-info',
+  }));
+  preface.push({
+    msg: `Summed over folds, validation log P(O|λ) peaks at iteration ${cv.bestIteration} (${cv.curve[cv.bestIteration - 1].toFixed(4)})` +
+      (!opts.earlyStopping ? ''
+        : cv.bestUpdates ? ` — training on all the data for the ${cv.bestUpdates} EM update${cv.bestUpdates > 1 ? 's' : ''} that led there`
+        : ' — that is the initial λ, so it is kept without any EM update'),
+    cls: 'log-ok',
+  });
+
+  // curve[n] scores λ after n updates, so the final model runs exactly bestUpdates of them (0 keeps the initial λ)
+  trainInBackground({ seqs, N, M, opts: { ...opts, maxIter: opts.earlyStopping ? cv.bestUpdates : opts.maxIter } }, {
+    preface,
+    validation: { label: `${k}-fold validation log P(O|λ), summed (right axis)`, data: cv.curve, best: cv.bestIteration },
+    onShown: hmm => {
+      if (opts.earlyStopping && !hmm.converged) document.getElementById('stat-converged').textContent = 'Stopped Early';
+    },
+  });
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §20  STREAMING DEMO  (OnlineFilter driving the diagram)
+// ══════════════════════════════════════════════════════════════
+//
+// Replays the sequence shown in the charts as if it were arriving live:
+// one observation per tick goes through OnlineFilter.push(), and the
+// filtered distribution rings the states in the diagram.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §20 Streaming Demo
+
+let streamTimer = null;
+
+/** 📡 button — start streaming, or stop a stream in progress. */
+function toggleStream() {
+  if (streamTimer) stopStream();
+  else startStream();
+}
+
+/** Feed lastHMM's charted sequence through an OnlineFilter, one observation per tick. */
+function startStream() {
+  if (!lastHMM || !stdDiagram) return;
+  const r   = parseInt(document.getElementById('seq-select').value) || 0;
+  const O   = lastHMM.seqs[r];
+  const lag = Math.max(0, parseInt(document.getElementById('stream-lag').value) || 0);
+  const filter  = new OnlineFilter(lastHMM, lag);
+  const readout = document.getElementById('stream-readout');
+  const fmt = dist => dist.map((p, i) => `S${i} ${p.toFixed(2)}`).join(' ');
+
+  stdDiagram.goLast();
+  document.getElementById('btn-stream').classList.add('active');
+  streamTimer = setInterval(() => {
+    if (filter.t >= O.length) { stopStream(); return; }
+    const o   = O[filter.t];
+    const res = filter.push(o);
+    stdDiagram.highlightState(res.filtered, lastHMM.emissionType === 'discrete' ? o : undefined);
+    const obs = o === null ? '?'
+      : lastHMM.symbols ? lastHMM.symbols[o]
+      : Array.isArray(o) ? o.map(v => +v.toFixed(3)).join(';') : +(+o).toFixed(3);
+    readout.textContent = `t = ${res.t}  o = ${obs}  filtered: ${fmt(res.filtered)}` +
+      (res.smoothed ? `  |  t = ${res.smoothed.t} smoothed: ${fmt(res.smoothed.dist)}` : '') +
+      `  |  log P = ${res.logLik.toFixed(3)}`;
+  }, parseInt(document.getElementById('stream-speed').value) || 200);
+}
+
+/**
+ * Stop the stream (or the online EM run, §22, which shares the timer);
+ * the last highlight stays until the diagram is rebuilt.
+ */
+function stopStream() {
+  if (streamTimer) clearInterval(streamTimer);
+  streamTimer = null;
+  ['btn-stream', 'btn-adapt'].forEach(id => document.getElementById(id).classList.remove('active'));
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §22  ONLINE EM DEMO  (λ adapting while the data streams in)
+// ══════════════════════════════════════════════════════════════
+//
+// Streams the charted sequence like §20, through OnlineEM on a copy of
+// the model on screen. Every update is appended to the diagram's
+// replay history, so the timeline continues past the last training
+// iteration; the trained model itself and its tables are not changed.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §22 Online EM Demo
+
+/** ⟳ button — start adapting, or stop whatever is streaming. */
+function toggleOnlineEM() {
+  if (streamTimer) stopStream();
+  else startOnlineEM();
+}
+
+/** Feed the charted sequence to OnlineEM on a copy of lastHMM, one observation per tick. */
+function startOnlineEM() {
+  if (!lastHMM || !stdDiagram) return;
+  const r = parseInt(document.getElementById('seq-select').value) || 0;
+  const O = lastHMM.seqs[r];
+  const model = HMM.fromJSON(lastHMM.toJSON());
+  let online;
+  try {
+    online = new OnlineEM(model, {
+      window:     parseInt(document.getElementById('oem-window').value) || 50,
+      every:      parseInt(document.getElementById('oem-every').value) || 5,
+      forgetting: parseFloat(document.getElementById('oem-forgetting').value),
+    });
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  const readout = document.getElementById('oem-readout');
+  const first   = lastHMM.iterations;
+  let t = 0;
+
+  stdDiagram.goLast();
+  document.getElementById('btn-adapt').classList.add('active');
+  streamTimer = setInterval(() => {
+    if (t >= O.length) {
+      stopStream();
+      readout.textContent += `  — done, ${online.updates} updates`;
+      return;
+    }
+    const res = online.push(O[t++]);
+    if (!res.updated) return;
+    stdDiagram.feedIteration(diagramSnapshot(model, first + res.update, res.logLik));
+    readout.textContent = `t = ${t - 1}  update ${res.update}  window log P(O|λ) = ${res.logLik.toFixed(3)}` +
+      `  (${(res.logLik / online.buffer.length).toFixed(3)} per symbol)`;
+  }, parseInt(document.getElementById('stream-speed').value) || 200);
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §23  DATA IMPORT  (CSV / TSV / plain-text files → observation box)
+// ══════════════════════════════════════════════════════════════
+//
+// A dropped or picked file is split into rows and shown in a preview
+// before anything is trained. For delimited files the user picks the
+// value column and, optionally, a sequence-id column (rows with the
+// same id form one sequence, in file order) and a state-label column.
+// Plain text is read like the observation box: one sequence per line.
+// "Use this data" then writes the result into #obs-input and
+// #labels-input, so everything downstream reads it as if typed.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §23 Data Import
+
+/** The file being previewed: { name, rows, delimiter } (delimiter null for plain text). */
+let importData = null;
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab' };
+
+/** Drop handler for the drop zone. */
+function dropDataFile(ev) {
+  ev.preventDefault();
+  ev.currentTarget.classList.remove('dragover');
+  const file = ev.dataTransfer.files[0];
+  if (file) loadDataFile(file);
+}
+
+/** Read a data file and open the import preview. */
+async function loadDataFile(file) {
+  const text      = await file.text();
+  const delimiter = detectDelimiter(text, file.name);
+  const rows      = delimiter
+    ? parseDelimited(text, delimiter)
+    : text.split(/\r?\n/).map(line => line.split(/[\s,]+/).filter(Boolean)).filter(r => r.length);
+  if (!rows.length) { alert(`${file.name} holds no data.`); return; }
+
+  importData = { name: file.name, rows, delimiter };
+  document.getElementById('import-header').checked = !!delimiter && guessHeader(rows);
+  document.getElementById('import-columns').style.display = delimiter ? '' : 'none';
+  fillImportColumns(true);
+  document.getElementById('import-panel').style.display = '';
+  renderImportPreview();
+}
+
+/**
+ * Tab, comma or semicolon from the extension or the first line;
+ * null when the file is plain whitespace-separated text.
+ */
+function detectDelimiter(text, name) {
+  const first = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const count = ch => first.split(ch).length - 1;
+  if (/\.tsv$/i.test(name) || count('\t')) return '\t';
+  if (/\.csv$/i.test(name)) return count(';') > count(',') ? ';' : ',';
+  if (count(',')) return ',';
+  if (count(';')) return ';';
+  return null;
+}
+
+/**
+ * Split delimited text into rows of trimmed cells, skipping blank lines.
+ * A quoted cell may hold the delimiter, line breaks and "" for a quote.
+ */
+function parseDelimited(text, delim) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(c => c.trim())) rows.push(row.map(c => c.trim()));
+    row = []; cell = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell.trim()) {
+      quoted = true; cell = '';
+    } else if (ch === delim) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * A first row of text cells that never recur in their column further
+ * down is taken for a header; the checkbox can override the guess.
+ */
+function guessHeader(rows) {
+  if (rows.length < 2) return false;
+  const head = rows[0];
+  return head.every(c => c && isNaN(c)) &&
+    head.every((c, j) => !rows.slice(1, 50).some(r => r[j] === c));
+}
+
+/** Column names for the selects: the header, or "column 1", "column 2", … */
+function importColumnNames() {
+  const { rows } = importData;
+  const width  = Math.max(...rows.slice(0, 50).map(r => r.length));
+  const header = document.getElementById('import-header').checked ? rows[0] : null;
+  return Array.from({ length: width }, (_, j) => header?.[j] || `column ${j + 1}`);
+}
+
+/**
+ * Fill the value / sequence-id / label selects. With guess set, columns
+ * are picked by name (id, seq…, state, label…), otherwise the current
+ * choices are kept.
+ */
+function fillImportColumns(guess = false) {
+  if (!importData.delimiter) return;
+  const names = importColumnNames();
+  const find  = re => names.findIndex(n => re.test(n));
+  const pick  = {};
+  if (guess) {
+    pick['import-seq']    = find(/^(seq|sequence|series|session|run)|(^|[_ ])id$/i);
+    pick['import-labels'] = find(/state|label|hidden|class/i);
+    const value = find(/obs|value|symbol|token|emission/i);
+    const taken = j => j === pick['import-seq'] || j === pick['import-labels'] ||
+      /^(t|time|date|day|step|index|idx|timestamp|#)$/i.test(names[j]);
+    pick['import-value']  = value >= 0 ? value : Math.max(0, names.findIndex((_, j) => !taken(j)));
+  }
+  for (const id of ['import-value', 'import-seq', 'import-labels']) {
+    const sel  = document.getElementById(id);
+    const keep = guess ? pick[id] : parseInt(sel.value);
+    const none = id === 'import-value' ? '' : '<option value="-1">— none —</option>';
+    sel.innerHTML = none + names.map((n, j) => `<option value="${j}">${escapeHTML(n)}</option>`).join('');
+    sel.value = String(keep >= 0 && keep < names.length ? keep : id === 'import-value' ? 0 : -1);
+  }
+}
+
+/**
+ * One cell as an observation-box token: ? when missing, no separators
+ * inside a name. Outside comma-separated files 1,5 is a decimal comma.
+ */
+function importToken(cell) {
+  let c = (cell ?? '').trim();
+  if (!c || MISSING_TOKEN.test(c)) return '?';
+  if (importData.delimiter !== ',' && /^[-+]?\d*,\d+$/.test(c)) c = c.replace(',', '.');
+  return isNaN(c) ? c.replace(/[\s,;]+/g, '_') : c;
+}
+
+/**
+ * The selected columns as observation-box tokens:
+ * { seqs, labels, labelNames, rows } — labels is null without a label
+ * column; labelNames lists text labels in the order they became 0, 1, …
+ */
+function buildImport() {
+  const { rows, delimiter } = importData;
+  if (!delimiter) return { seqs: rows.map(r => r.map(importToken)), labels: null, labelNames: null, rows: rows.length };
+
+  const body     = document.getElementById('import-header').checked ? rows.slice(1) : rows;
+  const valueCol = parseInt(document.getElementById('import-value').value);
+  const seqCol   = parseInt(document.getElementById('import-seq').value);
+  const labelCol = parseInt(document.getElementById('import-labels').value);
+
+  const groups = new Map();
+  for (const row of body) {
+    const id = seqCol >= 0 ? row[seqCol] ?? '' : '';
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(row);
+  }
+  const seqs = [...groups.values()].map(g => g.map(row => importToken(row[valueCol])));
+  if (labelCol < 0) return { seqs, labels: null, labelNames: null, rows: body.length };
+
+  // Integer labels are state indices already; text labels are numbered in order of appearance
+  const raw   = [...groups.values()].map(g => g.map(row => importToken(row[labelCol])));
+  const named = raw.flat().some(l => l !== '?' && !(Number.isInteger(+l) && +l >= 0));
+  const labelNames = named ? [...new Set(raw.flat().filter(l => l !== '?'))] : null;
+  const labels = raw.map(L => L.map(l => l === '?' ? '-' : named ? String(labelNames.indexOf(l)) : l));
+  return { seqs, labels, labelNames, rows: body.length };
+}
+
+/** What kind of values the tokens are: 'codes' (integers ≥ 0), 'real' or 'names'. */
+function importValueKind(tokens) {
+  const numeric = t => t.split(';').every(x => x !== '' && !isNaN(x));
+  if (!tokens.every(numeric)) return 'names';
+  return tokens.every(t => Number.isInteger(+t) && +t >= 0) ? 'codes' : 'real';
+}
+
+/** Summary, symbol frequencies and the first rows of the file as it will be read. */
+function renderImportPreview() {
+  if (!importData) return;
+  const { name, rows, delimiter } = importData;
+  const data    = buildImport();
+  const tokens  = data.seqs.flat();
+  const present = tokens.filter(t => t !== '?');
+  const kind    = importValueKind(present);
+  const lengths = data.seqs.map(s => s.length);
+
+  const lines = [
+    `<b>File:</b> ${escapeHTML(name)} — ${data.rows} rows, ${delimiter ? DELIMITER_NAMES[delimiter] + '-separated' : 'plain text, one sequence per line'}`,
+    `<b>Sequences:</b> ${data.seqs.length} (length ${lengths.slice(0, 8).join(', ')}${lengths.length > 8 ? ', …' : ''})`,
+  ];
+  if (kind === 'real') {
+    const v = present.map(t => +t.split(';')[0]);
+    const mean = v.reduce((a, b) => a + b, 0) / (v.length || 1);
+    lines.push(`<b>Values:</b> real-valued${present.some(t => t.includes(';')) ? ' vectors' : ''} — ` +
+      `min ${Math.min(...v).toFixed(3)}, mean ${mean.toFixed(3)}, max ${Math.max(...v).toFixed(3)} → Gaussian emissions`);
+  } else {
+    lines.push(`<b>Values:</b> ${new Set(present).size} ${kind === 'codes' ? 'integer symbols' : 'named symbols'} → discrete emissions`);
+  }
+  if (present.length < tokens.length) lines.push(`<b>Missing:</b> ${tokens.length - present.length} steps`);
+  if (data.labels) {
+    const known = data.labels.flat().filter(l => l !== '-').length;
+    lines.push(`<b>Labels:</b> ${known} of ${tokens.length} steps labelled` +
+      (data.labelNames ? ` — ${data.labelNames.map((n, i) => `${escapeHTML(n)} = S${i}`).join(', ')}` : ''));
+  }
+
+  let freq = '';
+  if (kind !== 'real') {
+    const counts = new Map();
+    present.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+    const top = [...counts].sort((a, b) => b[1] - a[1]);
+    const max = top.length ? top[0][1] : 1;
+    freq = '<div class="import-freq">' + top.slice(0, 12).map(([t, n]) =>
+      `<div><span>${escapeHTML(t)}</span><i style="width:${(100 * n / max).toFixed(1)}%"></i><span>${n}</span></div>`).join('') +
+      (top.length > 12 ? `<div><span>… ${top.length - 12} more</span></div>` : '') + '</div>';
+  }
+
+  const shown = rows.slice(0, 7).map((r, i) => {
+    const tag = i === 0 && document.getElementById('import-header').checked ? 'th' : 'td';
+    return `<tr>${r.map(c => `<${tag}>${escapeHTML(c)}</${tag}>`).join('')}</tr>`;
+  }).join('');
+
+  document.getElementById('import-summary').innerHTML = lines.join('<br>') + freq;
+  document.getElementById('import-table').innerHTML = shown;
+}
+
+/** "Use this data" — write the preview into the form, ready to train. */
+function applyImport() {
+  if (!importData) return;
+  const data = buildImport();
+  const kind = importValueKind(data.seqs.flat().filter(t => t !== '?'));
+  const emission = document.getElementById('emission-type');
+
+  document.getElementById('obs-input').value    = data.seqs.map(s => s.join(' ')).join('\n');
+  document.getElementById('labels-input').value = data.labels ? data.labels.map(L => L.join(' ')).join('\n') : '';
+  document.getElementById('m-symbols').value    = '';
+  document.getElementById('vocab-input').value  = '';
+  if (kind !== 'real') emission.value = 'discrete';
+  else if (emission.value === 'discrete') emission.value = 'gaussian';
+
+  if (data.labels) {
+    const states = Math.max(...data.labels.flat().filter(l => l !== '-').map(Number), -1) + 1;
+    const nInput = document.getElementById('n-states');
+    if (states > (parseInt(nInput.value) || 0)) nInput.value = states;
+  }
+  document.getElementById('import-panel').style.display = 'none';
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §24  RESULT EXPORT  (π, A, B, γ, log α and history as files)
+// ══════════════════════════════════════════════════════════════
+//
+// The tables on screen round to 4 decimals; these exports write every
+// number as JavaScript holds it (the shortest text that reads back to
+// the same double). Parameters go out as tidy CSV (one value per row)
+// or as LaTeX tabulars; γ, log α and the Viterbi state per time step
+// and the training history as CSV; the bundle is one JSON file with
+// all of it, the saved model (see HMM.toJSON) and the run settings.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §24 Result Export
+
+/**
+ * π, A and the emission parameters of a model as plain tables:
+ * [{ name, caption, rowLabels, colLabels, rows }].
+ */
+function parameterTables(hmm) {
+  const { N, M, emission } = hmm;
+  const states = Array.from({ length: N }, (_, i) => `S${i}`);
+  const tables = [
+    { name: 'pi', caption: 'Initial distribution $\\pi$', rowLabels: ['pi'], colLabels: states, rows: [hmm.pi] },
+    { name: 'A',  caption: 'Transition matrix $A$',       rowLabels: states, colLabels: states, rows: hmm.A },
+  ];
+  if (emission.type === 'discrete') {
+    tables.push({ name: 'B', caption: 'Emission matrix $B$', rowLabels: states,
+      colLabels: hmm.symbols || Array.from({ length: M }, (_, k) => `sym-${k}`), rows: hmm.B });
+    return tables;
+  }
+  const dims = Array.from({ length: emission.D }, (_, d) => emission.D > 1 ? `${d + 1}` : '');
+  const cols = [...dims.map(d => `mean${d}`), ...dims.map(d => `variance${d}`)];
+  if (emission.type === 'gmm') {
+    const rows = [], labels = [];
+    emission.mean.forEach((comps, i) => comps.forEach((mu, k) => {
+      rows.push([emission.weight[i][k], ...mu, ...emission.variance[i][k]]);
+      labels.push(`S${i}.${k + 1}`);
+    }));
+    tables.push({ name: 'B', caption: `Gaussian mixture emissions ($K = ${emission.K}$)`,
+      rowLabels: labels, colLabels: ['weight', ...cols], rows });
+  } else {
+    tables.push({ name: 'B', caption: 'Gaussian emissions', rowLabels: states, colLabels: cols,
+      rows: emission.mean.map((mu, i) => [...mu, ...emission.variance[i]]) });
+  }
+  return tables;
+}
+
+/** A number at full precision for CSV; ±Inf and NaN spelled the way R and pandas read them. */
+function csvNumber(v) {
+  if (v === null || v === undefined) return '';
+  if (Number.isFinite(v)) return String(v);
+  return Number.isNaN(v) ? 'NaN' : v > 0 ? 'Inf' : '-Inf';
+}
+
+/** One CSV line; cells holding a comma, quote or line break are quoted. */
+function csvLine(cells) {
+  return cells.map(c => {
+    const s = typeof c === 'number' ? csvNumber(c) : String(c ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',');
+}
+
+/** LaTeX for each character that cannot appear in a table cell as it is. */
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}',
+  '&': '\\&', '%': '\\%', '$': '\\$', '#': '\\#', '_': '\\_', '{': '\\{', '}': '\\}',
+};
+
+/** Text safe inside a LaTeX table cell (one pass, so inserted braces are left alone). */
+function latexEscape(text) {
+  return String(text).replace(/[\\~^&%$#_{}]/g, c => LATEX_SPECIALS[c]);
+}
+
+/** One table as a LaTeX table environment (booktabs rules). */
+function latexTable({ name, caption, rowLabels, colLabels, rows }) {
+  const cell = v => Number.isFinite(v) ? String(v) : `$${v < 0 ? '-' : ''}\\infty$`;
+  return [
+    '\\begin{table}[ht]',
+    '  \\centering',
+    `  \\caption{${caption}}`,
+    `  \\label{tab:hmm-${name}}`,
+    `  \\begin{tabular}{l${'r'.repeat(colLabels.length)}}`,
+    '    \\toprule',
+    `     & ${colLabels.map(latexEscape).join(' & ')} \\\\`,
+    '    \\midrule',
+    ...rows.map((row, i) => `    ${latexEscape(rowLabels[i])} & ${row.map(cell).join(' & ')} \\\\`),
+    '    \\bottomrule',
+    '  \\end{tabular}',
+    '\\end{table}',
+  ].join('\n');
+}
+
+/** File name stem for the model on screen, e.g. hmm-discrete-N2. */
+function exportStem(hmm) {
+  return `hmm-${hmm.emissionType}-N${hmm.N}`;
+}
+
+/** The model on screen, or null after telling the user to train one. */
+function exportTarget() {
+  if (!lastHMM) alert('Train a model first — there is nothing to export yet.');
+  return lastHMM;
+}
+
+/** π, A and B — as tidy CSV (table, row, column, value) or as LaTeX tables. */
+function exportParameters(format) {
+  const hmm = exportTarget();
+  if (!hmm) return;
+  const tables = parameterTables(hmm);
+  if (format === 'latex') {
+    const text = `% HMM parameters — N = ${hmm.N}, ${hmm.emissionType} emissions. Needs \\usepackage{booktabs}.\n\n` +
+      tables.map(latexTable).join('\n\n') + '\n';
+    downloadText(text, `${exportStem(hmm)}-parameters.tex`, 'application/x-tex');
+    return;
+  }
+  const lines = [csvLine(['table', 'row', 'column', 'value'])];
+  tables.forEach(({ name, rowLabels, colLabels, rows }) => rows.forEach((row, i) =>
+    row.forEach((v, j) => lines.push(csvLine([name, rowLabels[i], colLabels[j], v])))));
+  downloadText(lines.join('\n') + '\n', `${exportStem(hmm)}-parameters.csv`, 'text/csv');
+}
+
+/** An observation as it was written: symbol name, number, a;b vector, or NA when missing. */
+function observationText(hmm, o) {
+  if (o === null) return 'NA';
+  if (Array.isArray(o)) return o.map(csvNumber).join(';');
+  return hmm.symbols?.[o] ?? csvNumber(o);
+}
+
+/** γ, log α and the Viterbi state at every time step of every training sequence. */
+function exportSteps() {
+  const hmm = exportTarget();
+  if (!hmm) return;
+  const states = Array.from({ length: hmm.N }, (_, i) => `S${i}`);
+  const lines  = [csvLine(['sequence', 't', 'observation', 'label', 'viterbi',
+    ...states.map(s => `gamma_${s}`), ...states.map(s => `log_alpha_${s}`)])];
+  hmm.seqs.forEach((O, r) => {
+    const labels = hmm.labels?.[r] || null;
+    const { path } = hmm.viterbi(O, labels);
+    O.forEach((o, t) => lines.push(csvLine([r + 1, t, observationText(hmm, o), labels?.[t] ?? '', path[t],
+      ...hmm.finalGammas[r][t], ...hmm.finalAlphas[r][t]])));
+  });
+  downloadText(lines.join('\n') + '\n', `${exportStem(hmm)}-steps.csv`, 'text/csv');
+}
+
+/** The validation curve drawn on the log-likelihood chart, or null. */
+function validationSeries(run, hmm) {
+  return run?.validation || heldOutSeries(hmm);
+}
+
+/** Objective, log prior and validation score per iteration. */
+function exportHistory() {
+  const hmm = exportTarget();
+  if (!hmm) return;
+  const valid = validationSeries(lastRun, hmm)?.data || [];
+  const lines = [csvLine(['iteration', 'objective', 'log_prior', 'validation_log_lik'])];
+  hmm.logLikeHistory.forEach((ll, i) =>
+    lines.push(csvLine([i + 1, ll, hmm.logPriorHistory[i], valid[i]])));
+  downloadText(lines.join('\n') + '\n', `${exportStem(hmm)}-history.csv`, 'text/csv');
+}
+
+/**
+ * Everything on the results view in one JSON file: the run settings,
+ * the saved model, parameter tables, per-sequence γ / log α / Viterbi
+ * path and the training log.
+ */
+function exportBundle() {
+  const hmm = exportTarget();
+  if (!hmm) return;
+  const model = hmm.toJSON();
+  const valid = validationSeries(lastRun, hmm);
+  const bundle = {
+    format:   'hmm-results',
+    version:  1,
+    exported: new Date().toISOString(),
+    settings: {
+      N: hmm.N, M: hmm.M, emission: hmm.emissionType,
+      ...(hmm.emissionType === 'gmm' ? { mixtures: hmm.emission.K } : {}),
+      ...model.settings,
+      validation: hmm.validLogLikeHistory.length ? 'holdout' : valid ? 'kfold' : 'none',
+    },
+    results: {
+      objective:  hmm.objectiveLabel,
+      finalValue: hmm.logLikeHistory.at(-1) ?? null,
+      iterations: hmm.iterations,
+      converged:  hmm.converged,
+      stoppedEarly: hmm.stoppedEarly,
+    },
+    model,
+    tables: Object.fromEntries(parameterTables(hmm).map(({ name, ...t }) => [name, t])),
+    history: {
+      objective:  hmm.logLikeHistory,
+      logPrior:   hmm.logPriorHistory,
+      validation: valid?.data || [],
+    },
+    sequences: hmm.seqs.map((O, r) => {
+      const labels = hmm.labels?.[r] || null;
+      const { path, logProb } = hmm.viterbi(O, labels);
+      const rows = views => views.map(row => Array.from(row));
+      return { observations: O, labels, gamma: rows(hmm.finalGammas[r]), logAlpha: rows(hmm.finalAlphas[r]),
+        viterbi: { path, logProb } };
+    }),
+    log: (lastRun?.log || []).map(l => l.msg),
+  };
+  downloadText(JSON.stringify(bundle, null, 2), `${exportStem(hmm)}-results.json`, 'application/json');
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §25  RUN REPORT  (one standalone HTML file, printable to PDF)
+// ══════════════════════════════════════════════════════════════
+//
+// The report is built from what the results view shows now: the
+// settings of the model on screen, the three stat cards, every chart
+// as a PNG data URL, the diagram at its current iteration as inline
+// SVG, π / A / B, and the training log. Nothing in it is fetched, so
+// the file opens offline and can be mailed as it is. Its own print
+// stylesheet lays it out on white pages for "Save as PDF".
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §25 Run Report
+
+/** Styles of the report file; the @media print block is what "Save as PDF" uses. */
+const REPORT_CSS = `
+  body { margin: 0 auto; max-width: 960px; padding: 32px 28px; background: #f6f7fb; color: #1b1f2a;
+         font: 14px/1.55 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 1px solid #d5d9e4; }
+  h3 { font-size: 13px; margin: 14px 0 6px; }
+  .meta { color: #5b6475; font-size: 12px; }
+  .stats { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+  .stat { background: #fff; border: 1px solid #d5d9e4; border-radius: 8px; padding: 12px; text-align: center; }
+  .stat b { display: block; font-size: 20px; color: #5b21b6; }
+  .stat span { font-size: 11px; color: #5b6475; }
+  table { border-collapse: collapse; font: 12px/1.4 ui-monospace, 'JetBrains Mono', monospace; margin-bottom: 12px; }
+  th, td { border: 1px solid #d5d9e4; padding: 4px 10px; text-align: right; }
+  th { background: #eceef5; font-weight: 600; }
+  .settings th, .settings td { text-align: left; }
+  figure { margin: 0 0 16px; break-inside: avoid; }
+  figure div { background: #0f1018; border-radius: 8px; padding: 10px; }
+  figure img { display: block; max-width: 100%; margin: 0 auto; }
+  figcaption { font-size: 12px; color: #5b6475; margin-top: 4px; }
+  pre { background: #fff; border: 1px solid #d5d9e4; border-radius: 8px; padding: 10px 12px;
+        font: 11px/1.7 ui-monospace, 'JetBrains Mono', monospace; white-space: pre-wrap; word-break: break-all; }
+  .log-info { color: #0e7490; } .log-ok { color: #047857; } .log-warn { color: #b45309; }
+  .print { float: right; padding: 6px 14px; cursor: pointer; }
+  @media print {
+    @page { margin: 14mm; }
+    body { background: #fff; max-width: none; padding: 0; font-size: 11pt; }
+    .print { display: none; }
+    h2, h3 { break-after: avoid; }
+    table, .stats, pre { break-inside: avoid; }
+    figure div { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+/** The settings table: model shape, training options and the data it saw. */
+function reportSettings(hmm) {
+  const { settings } = hmm.toJSON();
+  const lengths = hmm.seqs.map(O => O.length);
+  const spec    = hmm.constraintSpec;
+  const rows = [
+    ['Hidden states (N)', hmm.N],
+    [hmm.emissionType === 'discrete' ? 'Symbols (M)' : 'Dimensions (D)', hmm.M],
+    ['Emission model', hmm.emissionType + (hmm.emissionType === 'gmm' ? `, K = ${hmm.emission.K}` : '')],
+    ['Symbol names', hmm.symbols ? hmm.symbols.join(', ') : '—'],
+    ['Trainer', settings.trainer],
+    ['Max iterations', settings.maxIter],
+    ['Convergence ε', settings.epsilon],
+    ['Seed', settings.seed],
+    ['Topology', spec ? [spec.topology || 'ergodic', formatConstraints(spec)].filter(Boolean).join('; ') : 'ergodic'],
+    ['Dirichlet prior', settings.prior ? `π ${settings.prior.pi}, A ${settings.prior.A}, B ${settings.prior.B}` : 'none'],
+    ['Validation', hmm.validLogLikeHistory.length ? 'hold-out' : lastRun?.validation ? 'k-fold' : 'none'],
+    ['Early-stopping patience', settings.earlyStopping || 'off'],
+    ['State labels', hmm.labels ? `${hmm.labels.flat().filter(q => q !== null).length} steps labelled` : 'none'],
+    ['Training data', `${hmm.seqs.length} sequence${hmm.seqs.length > 1 ? 's' : ''}, T = ${lengths.join(', ')}`],
+  ];
+  return `<table class="settings"><tbody>${rows.map(([k, v]) =>
+    `<tr><th>${escapeHTML(k)}</th><td>${escapeHTML(v)}</td></tr>`).join('')}</tbody></table>`;
+}
+
+/** π, A and B as plain HTML tables, 6 decimals. */
+function reportTables(hmm) {
+  const titles = { pi: 'π — Initial Distribution', A: 'A — Transition Matrix', B: document.getElementById('B-title').textContent };
+  return parameterTables(hmm).map(({ name, rowLabels, colLabels, rows }) =>
+    `<h3>${escapeHTML(titles[name])}</h3><table>` +
+    `<thead><tr><th></th>${colLabels.map(c => `<th>${escapeHTML(c)}</th>`).join('')}</tr></thead><tbody>` +
+    rows.map((row, i) => `<tr><th>${escapeHTML(rowLabels[i])}</th>${row.map(v => `<td>${v.toFixed(6)}</td>`).join('')}</tr>`).join('') +
+    `</tbody></table>`).join('');
+}
+
+/** One chart or the diagram as a figure; '' when it is not on screen. */
+function reportFigure(src, caption) {
+  if (!src) return '';
+  return `<figure><div><img src="${src}" alt="${escapeHTML(caption)}"></div><figcaption>${escapeHTML(caption)}</figcaption></figure>`;
+}
+
+/** The training data as written in the observation box (capped so the report stays readable). */
+function reportData(hmm, limit = 4000) {
+  const text = hmm.seqs.map(O => O.map(o => observationText(hmm, o)).join(' ')).join('\n');
+  return escapeHTML(text.length > limit ? `${text.slice(0, limit)} … (${text.length - limit} more characters)` : text);
+}
+
+/** "Download report" — the results view as one self-contained HTML file. */
+function downloadReport() {
+  const hmm = exportTarget();
+  if (!hmm) return;
+  const text  = id => document.getElementById(id).textContent;
+  const image = chart => chart ? chart.toBase64Image() : null;
+  const svg   = stdDiagram?.svgString();
+  const seq   = hmm.seqs.length > 1 ? ` — sequence ${parseInt(document.getElementById('seq-select').value) + 1}` : '';
+  const log   = [...document.getElementById('log-output').children]
+    .map(line => `<span class="${escapeHTML(line.className)}">${escapeHTML(line.textContent)}</span>`).join('\n');
+  const title = `HMM run report — N = ${hmm.N}, ${hmm.emissionType} emissions`;
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<button class="print" onclick="print()">Print / Save as PDF</button>
+<h1>${escapeHTML(title)}</h1>
+<div class="meta">Generated ${escapeHTML(new Date().toLocaleString())}</div>
+
+<h2>Settings</h2>
+${reportSettings(hmm)}
+<pre>${reportData(hmm)}</pre>
+
+<h2>Result</h2>
+<div class="stats">
+  <div class="stat"><b>${escapeHTML(text('stat-loglik'))}</b><span>${escapeHTML(text('stat-loglik-label'))}</span></div>
+  <div class="stat"><b>${escapeHTML(text('stat-iters'))}</b><span>Iterations taken</span></div>
+  <div class="stat"><b>${escapeHTML(text('stat-converged'))}</b><span>Status</span></div>
+</div>
+
+<h2>Charts</h2>
+${reportFigure(image(convChart), `${hmm.objectiveLabel} per iteration`)}
+${reportFigure(image(gammaChart), `γ — state posterior per time step${seq}`)}
+${reportFigure(image(pathChart), `Viterbi path (log P(O, Q*|λ) = ${text('path-logprob')})${seq}`)}
+${reportFigure(image(alphaChart), `log α — forward variable per time step${seq}`)}
+${reportFigure(image(densityChart), 'Emission densities per state')}
+
+<h2>Parameters</h2>
+${reportTables(hmm)}
+
+<h2>State transition diagram</h2>
+${reportFigure(svg && `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`, 'The diagram at the iteration shown when the report was made')}
+
+<h2>Training log</h2>
+<pre>${log}</pre>
+</body>
+</html>
+`;
+  downloadText(html, `${exportStem(hmm)}-report.html`, 'text/html');
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §26  SHARE LINKS  (the Configure form in the URL hash)
+// ══════════════════════════════════════════════════════════════
+//
+// Every form field readConfig() reads is stored as JSON, deflated with
+// CompressionStream('deflate-raw') and written base64url-encoded into
+// the hash: #z=<data>, plus &run=1 to train as soon as the page opens.
+// The seed travels with the rest, so the opened link trains exactly
+// the run it was made from. Browsers without CompressionStream write
+// (and read) the same JSON uncompressed as #j=<data>.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §26 Share Links
+
+/** The form fields a link carries — everything readConfig() reads. */
+const SHARE_FIELDS = [
+  'obs-input', 'labels-input', 'vocab-input', 'n-states', 'm-symbols', 'n-mix', 'emission-type',
+  'max-iter', 'epsilon', 'seed', 'restarts', 'trainer', 'topology', 'band', 'constraints-input',
+  'prior-pi', 'prior-A', 'prior-B', 'validation', 'k-folds', 'patience',
+];
+
+/** Bytes → base64url (no padding), the alphabet that needs no escaping in a URL. */
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** base64url → bytes; throws on characters outside the alphabet. */
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+/** Run bytes through a CompressionStream / DecompressionStream. */
+async function pipeBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+/** The share hash for the current form, without the leading #. */
+async function shareHash(autorun) {
+  const fields = Object.fromEntries(SHARE_FIELDS.map(id => [id, document.getElementById(id).value]));
+  const json   = new TextEncoder().encode(JSON.stringify(fields));
+  const data   = typeof CompressionStream === 'function'
+    ? `z=${toBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')))}`
+    : `j=${toBase64Url(json)}`;
+  return autorun ? `${data}&run=1` : data;
+}
+
+/** "Copy share link" — put the link in the address bar and on the clipboard. */
+async function copyShareLink() {
+  const hash = await shareHash(document.getElementById('share-autorun').checked);
+  const url  = `${location.href.split('#')[0]}#${hash}`;
+  history.replaceState(null, '', `#${hash}`);
+  const status = document.getElementById('share-status');
+  try {
+    await navigator.clipboard.writeText(url);
+    status.textContent = `Link copied (${url.length.toLocaleString()} characters).`;
+  } catch {
+    status.textContent = 'The link is in the address bar — copy it from there.';
+  }
+  if (url.length > 8000) status.textContent += ' Some chat and mail apps cut links this long; send the report or an exported model instead if it arrives broken.';
+}
+
+/**
+ * Fill the form from a share hash (#z=… or #j=…). Returns whether the
+ * link asks for the run to start; unknown fields are ignored so older
+ * links keep working. Throws when the data cannot be decoded.
+ */
+async function applyShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const packed = params.get('z') ?? params.get('j');
+  if (packed === null) return false;
+  let bytes = fromBase64Url(packed);
+  if (params.has('z')) {
+    if (typeof DecompressionStream !== 'function') throw new Error('this browser cannot decompress it');
+    bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  }
+  const fields = JSON.parse(new TextDecoder().decode(bytes));
+  SHARE_FIELDS.forEach(id => {
+    if (typeof fields[id] === 'string') document.getElementById(id).value = fields[id];
+  });
+  return params.get('run') === '1';
+}
+
+/** Page open or hash change — load a shared configuration, and run it if asked. */
+async function openShareLink() {
+  if (!/^#?(z|j)=/.test(location.hash)) return;
+  let autorun;
+  try {
+    autorun = await applyShareHash(location.hash);
+  } catch (e) {
+    alert(`Could not read the settings in this link: ${e.message}`);
+    return;
+  }
+  if (autorun) runBaumWelch();
+}
+
+window.addEventListener('hashchange', openShareLink);
+openShareLink();
+
 // #endregion
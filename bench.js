@@ -0,0 +1,132 @@
+/**
+ * bench.js
+ * ──────────────────────────────────────────────────────────────
+ * Baum-Welch HMM — benchmark page (bench.html)
+ *
+ * Times HMM.step() on sequences of growing length T and reports the
+ * heap in use after each iteration (Chromium only — other browsers
+ * show just the size of the per-sequence buffers), so regressions in
+ * the E-step's time or memory show up as the curve bending.
+ *
+ * Contents:
+ *  §15  Benchmark        runBenchmark(), benchModel(), bufferBytes(),
+ *                        buildBenchChart()
+ *
+ * Depends on: hmm-core.js, Chart.js
+ * ──────────────────────────────────────────────────────────────
+ */
+
+// #region §15 Benchmark
+
+let benchChart = null;
+
+/** A fixed random λ to sample from: sticky transitions, one favourite symbol per state. */
+function benchModel(N, M, seed) {
+  const rand = mulberry32(seed);
+  const A = Array.from({ length: N }, (_, i) => {
+    const row = randomRow(N, rand).map(v => v * 0.2);
+    row[i] += 0.8;
+    return row;
+  });
+  const B = Array.from({ length: N }, (_, i) => {
+    const row = randomRow(M, rand).map(v => v * 0.5);
+    row[i % M] += 0.5;
+    return row;
+  });
+  return HMM.fromParams({ pi: randomRow(N, rand), A, B });
+}
+
+/** Bytes of the per-sequence buffers one iteration allocates: E, α, γ (T·N each) and c (T). */
+function bufferBytes(T, N) {
+  return 8 * (3 * T * N + T);
+}
+
+/** Heap in use in MB, or null where the browser does not report it. */
+function heapMB() {
+  return performance.memory ? performance.memory.usedJSHeapSize / 1e6 : null;
+}
+
+/** Button handler — one HMM per T, `iters` timed iterations each, yielding to the page in between. */
+function runBenchmark() {
+  const lengths = document.getElementById('bench-T').value.split(/[\s,]+/).map(Number).filter(t => t >= 2);
+  const N     = parseInt(document.getElementById('bench-N').value) || 5;
+  const M     = parseInt(document.getElementById('bench-M').value) || 8;
+  const iters = parseInt(document.getElementById('bench-iters').value) || 3;
+  if (!lengths.length) { alert('Enter at least one sequence length T ≥ 2.'); return; }
+
+  const btn    = document.getElementById('bench-run');
+  const status = document.getElementById('bench-status');
+  const table  = document.getElementById('bench-table');
+  btn.disabled = true;
+  table.innerHTML = '';
+  status.style.display = '';
+
+  const truth   = benchModel(N, M, 1);
+  const results = [];          // { T, ms: [] }
+  let k = 0, iter = 0, hmm = null;
+
+  const next = () => {
+    if (k >= lengths.length) {
+      btn.disabled = false;
+      status.textContent = `Done — ${lengths.length} sizes × ${iters} iterations, N = ${N}, M = ${M}.`;
+      return;
+    }
+    const T = lengths[k];
+    if (!hmm) {
+      status.textContent = `Sampling T = ${T.toLocaleString()}…`;
+      hmm = new HMM(truth.sample(T, 2).obs, N, M, { seed: 3 });
+      results.push({ T, ms: [] });
+      setTimeout(next, 0);
+      return;
+    }
+
+    const t0 = performance.now();
+    const logLik = hmm.step();
+    const ms = performance.now() - t0;
+    const heap = heapMB();
+    results.at(-1).ms.push(ms);
+
+    table.insertAdjacentHTML('beforeend', `<tr>
+      <td>${iter === 0 ? T.toLocaleString() : ''}</td><td>${iter + 1}</td>
+      <td>${ms.toFixed(1)}</td><td>${(1000 * ms / T).toFixed(2)}</td>
+      <td>${heap === null ? '—' : heap.toFixed(1)}</td><td>${(bufferBytes(T, N) / 1e6).toFixed(1)}</td>
+      <td>${logLik.toFixed(2)}</td></tr>`);
+    status.textContent = `T = ${T.toLocaleString()}: iteration ${iter + 1} of ${iters} took ${ms.toFixed(1)} ms`;
+    buildBenchChart(results);
+
+    if (++iter >= iters) { iter = 0; k++; hmm = null; }
+    setTimeout(next, 0);
+  };
+  next();
+}
+
+/** Median ms per iteration against T (log–log), one point per size. */
+function buildBenchChart(results) {
+  if (benchChart) benchChart.destroy();
+  const median = ms => [...ms].sort((a, b) => a - b)[Math.floor((ms.length - 1) / 2)];
+  const axis = title => ({
+    type:  'logarithmic',
+    ticks: { color: '#4e5a6e', font: { family: 'JetBrains Mono', size: 9 } },
+    grid:  { color: 'rgba(255,255,255,0.03)' },
+    title: { display: true, text: title, color: '#4e5a6e', font: { size: 11 } },
+  });
+  benchChart = new Chart(document.getElementById('bench-chart').getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: [{
+        label: 'median ms / iteration',
+        data: results.map(r => ({ x: r.T, y: median(r.ms) })),
+        borderColor: '#7c3aed', backgroundColor: '#7c3aed',
+        pointRadius: 4, borderWidth: 2, tension: 0,
+      }],
+    },
+    options: {
+      animation: false,
+      responsive: true,
+      plugins: { legend: { labels: { color: '#7a8599', font: { family: 'JetBrains Mono', size: 10 } } } },
+      scales: { x: axis('Sequence length T'), y: axis('ms per iteration') },
+    },
+  });
+}
+
+// #endregion
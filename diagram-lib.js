@@ -5,12 +5,28 @@
  *
  * Public API:
  *   new StateTransitionDiagram(containerId, inspectorId, config)
- *   .feedIteration({ A, B, pi, iteration, log_likelihood })
+ *   .feedIteration({ A, B, pi, iteration, log_likelihood, emission? })
+ *       emission = { type: 'density', components } switches the
+ *       observation layer from B[N][M] symbol boxes to per-state
+ *       density curves; components[i] = [{ weight, mean, variance }]
+ *   .setPinned({ pi, A, B })
+ *       boolean masks of entries held fixed during training; those
+ *       arrows are drawn dotted and their tooltips say "pinned"
+ *   .setSymbols(names)
+ *       names[k] labels observation box k, its column in the
+ *       inspector and its emission tooltips; null → O0, O1, …
+ *   .highlightState(probs, symbol?)
+ *       rings each state by its probability (e.g. a filtered
+ *       distribution) and outlines observation box `symbol`;
+ *       highlightState(null) clears it
  *   .onComplete()
  *   .wireControls({ btnFirst, btnBack, btnPlay, ... })
  *   .seekTo(index)
  *   .play() / .pause() / .stepForward() / .stepBack()
  *   .saveSVG() / .savePNG()
+ *   .svgString()
+ *       the diagram as it is drawn now, as standalone SVG text
+ *       (null before the first iteration)
  *   .reset()
  *
  * Requires: D3 v7 (loaded before this file)
@@ -60,13 +76,16 @@ class StateTransitionDiagram {
     this.animFrame    = null;
     this.svg          = null;
     this.N = 0; this.M = 0; this._ctrl = null;
+    this.pinned       = null;
+    this.symbols      = null;
+    this.highlight    = null;
   }
 
   /* ── Public API ───────────────────────────────────────────── */
   feedIteration(data) {
-    this.history.push({ A: data.A, B: data.B, pi: data.pi,
+    this.history.push({ A: data.A, B: data.B, pi: data.pi, emission: data.emission,
       iteration: data.iteration, log_likelihood: data.log_likelihood });
-    if (!this.built) { this._build(data.A, data.B, data.pi); this.built = true; }
+    if (!this.built) { this._build(data.A, data.B, data.pi, data.emission); this.built = true; }
     if (!this.isScrubbing && this.followLatest) {
       this.currentIdx = this.history.length - 1;
       this._render(this.currentIdx);
@@ -74,6 +93,18 @@ class StateTransitionDiagram {
     this._updateControls();
   }
   onComplete()  { this.pause(); this._updateControls(); }
+  setPinned(p) {
+    this.pinned = p || null;
+    if (this.built) this._applyPinned();
+  }
+  setSymbols(names) {
+    this.symbols = names || null;
+    if (this.built) this._applySymbols();
+  }
+  highlightState(probs, symbol) {
+    this.highlight = probs ? { probs, symbol } : null;
+    if (this.built) this._applyHighlight();
+  }
   seekTo(i) {
     if (i < 0 || i >= this.history.length) return;
     this.currentIdx   = i;
@@ -124,6 +155,7 @@ class StateTransitionDiagram {
   reset() {
     this.pause();
     this.history = []; this.currentIdx = -1; this.built = false;
+    this.pinned = null; this.symbols = null; this.highlight = null;
     this.isScrubbing = false; this.followLatest = true;
     this._clearParticles();
     if (this.animFrame) cancelAnimationFrame(this.animFrame);
@@ -132,12 +164,15 @@ class StateTransitionDiagram {
   }
 
   /* ── Save / Download ──────────────────────────────────────── */
+  svgString() {
+    if (!this.svg) return null;
+    const sv = new XMLSerializer().serializeToString(this.svg.node());
+    return sv.includes('xmlns="http://www.w3.org/2000/svg"')
+      ? sv : sv.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+  }
   saveSVG(filename) {
     if (!this.svg) return;
-    const sr = new XMLSerializer();
-    let sv = sr.serializeToString(this.svg.node());
-    if (!sv.includes('xmlns="http://www.w3.org/2000/svg"'))
-      sv = sv.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+    const sv = this.svgString();
     const url = URL.createObjectURL(new Blob([sv], { type: 'image/svg+xml;charset=utf-8' }));
     const a = Object.assign(document.createElement('a'), { href: url, download: filename || 'state_transition_diagram.svg' });
     document.body.appendChild(a); a.click(); document.body.removeChild(a); URL.revokeObjectURL(url);
@@ -147,10 +182,7 @@ class StateTransitionDiagram {
     scale = scale || 2;
     const sn = this.svg.node();
     const w = +sn.getAttribute('width'), h = +sn.getAttribute('height');
-    const sr = new XMLSerializer();
-    let sv = sr.serializeToString(sn);
-    if (!sv.includes('xmlns="http://www.w3.org/2000/svg"'))
-      sv = sv.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+    const sv = this.svgString();
     const ca = document.createElement('canvas');
     ca.width = w * scale; ca.height = h * scale;
     const ctx = ca.getContext('2d');
@@ -171,9 +203,10 @@ class StateTransitionDiagram {
   }
 
   /* ── Build (called once on first feedIteration) ───────────── */
-  _build(A, B, pi) {
+  _build(A, B, pi, emission) {
     this.container.innerHTML = '';
-    this.N = A.length; this.M = B[0].length;
+    this.densityMode = emission?.type === 'density';
+    this.N = A.length; this.M = this.densityMode ? 0 : B[0].length;
     const N = this.N, M = this.M;
     const SC = this.STATE_COLORS, OC = this.OBS_COLOR, PC = this.PI_COLOR;
 
@@ -262,7 +295,7 @@ class StateTransitionDiagram {
       .attr('font-weight', '600').attr('letter-spacing', '0.05em').text(t);
     lbl(20, piY + 4, 'START');
     lbl(20, stateY - R - 20, 'HIDDEN STATES');
-    lbl(20, obsY - obsH / 2 - 20, 'OBSERVATIONS');
+    lbl(20, obsY - obsH / 2 - 20, this.densityMode ? 'OBSERVATION DENSITIES' : 'OBSERVATIONS');
 
     /* ── START node ── */
     this._piG.append('rect')
@@ -301,18 +334,20 @@ class StateTransitionDiagram {
     }
 
     /* ── Observation nodes ── */
-    const obsFontSz = M > 8 ? '11px' : M > 5 ? '13px' : '16px';
+    this._obsFontPx = M > 8 ? 11 : M > 5 ? 13 : 16;
+    this._obsW      = obsW;
+    this._obsBox    = [];
+    this._obsText   = [];
     for (let k = 0; k < M; k++) {
       const o = this._op[k];
-      this._obsG.append('rect')
+      this._obsBox[k] = this._obsG.append('rect')
         .attr('x', o.x - obsW / 2).attr('y', o.y - obsH / 2)
         .attr('width', obsW).attr('height', obsH).attr('rx', 5)
         .attr('fill', OC.fill).attr('stroke', OC.stroke)
         .attr('stroke-width', 1.2).attr('filter', 'url(#shd)');
-      this._obsG.append('text').attr('x', o.x).attr('y', o.y)
+      this._obsText[k] = this._obsG.append('text').attr('x', o.x).attr('y', o.y)
         .attr('text-anchor', 'middle').attr('dominant-baseline', 'central')
-        .attr('font-size', obsFontSz).attr('font-weight', '700').attr('fill', OC.dark)
-        .text(`O${k}`);
+        .attr('font-weight', '700').attr('fill', OC.dark);
     }
 
     /* ── Emission arrows ── */
@@ -346,6 +381,9 @@ class StateTransitionDiagram {
       }
     }
 
+    /* ── Density panel (continuous emissions) ── */
+    if (this.densityMode) this._buildDensityPanel(W, obsY, obsH, emStroke, emFontSz);
+
     /* ── Transition arrows ── */
     this._trR = {}; this._slR = {};
     const trStroke = N > 6 ? 1.5 : 2;
@@ -428,9 +466,13 @@ class StateTransitionDiagram {
 
     /* ── State circles ── */
     const stateFontSz = N > 10 ? '11px' : N > 6 ? '14px' : '20px';
-    this._sn = [];
+    this._sn = []; this._hlRing = [];
     for (let i = 0; i < N; i++) {
       const s = this._sp[i], c = SC[i % SC.length];
+      this._hlRing.push(this._stateG.append('circle')
+        .attr('cx', s.x).attr('cy', s.y).attr('r', R + 7)
+        .attr('fill', 'none').attr('stroke', c.light)
+        .attr('pointer-events', 'none').attr('opacity', 0));
       const circle = this._stateG.append('circle')
         .attr('cx', s.x).attr('cy', s.y).attr('r', R)
         .attr('fill', `url(#sg${i})`).attr('stroke', c.dark)
@@ -455,9 +497,50 @@ class StateTransitionDiagram {
       .style('pointer-events', 'none').style('z-index', '50')
       .style('border', '1px solid #2a2a3a');
 
+    this._applyPinned();
+    this._applySymbols();
+    this._applyHighlight();
     this._startParticleLoop();
   }
 
+  /* ── Pinned entries: dotted arrows instead of solid / dashed ─ */
+  _applyPinned() {
+    const p = this.pinned, N = this.N, M = this.M;
+    const style = (r, on, base) => r && r.path
+      .attr('stroke-dasharray', on ? '1 4' : base)
+      .attr('stroke-linecap', on ? 'round' : null);
+    for (let i = 0; i < N; i++) {
+      style(this._piA[i], p?.pi?.[i], '4 3');
+      for (let j = 0; j < N; j++) style(this._slR[`${i}-${j}`] || this._trR[`${i}-${j}`], p?.A?.[i]?.[j], null);
+      for (let k = 0; k < M; k++) style(this._emR[`em-${i}-${k}`], p?.B?.[i]?.[k], '4 3');
+    }
+  }
+
+  /* ── Symbol names: shrink to fit the box, then truncate ──────── */
+  _symbolName(k) { return this.symbols?.[k] ?? `O${k}`; }
+  _applySymbols() {
+    const room = this._obsW - 8;
+    this._obsText.forEach((text, k) => {
+      const name = this._symbolName(k);
+      const px   = Math.max(9, Math.min(this._obsFontPx, Math.floor(room / (0.62 * name.length))));
+      const fit  = Math.floor(room / (0.62 * px));
+      text.attr('font-size', px + 'px').text(name.length > fit ? name.slice(0, fit - 1) + '…' : name);
+      text.append('title').text(name);
+    });
+  }
+
+  /* ── Live state highlight: ring opacity / width ∝ probability ─ */
+  _applyHighlight() {
+    const h = this.highlight;
+    this._hlRing.forEach((ring, i) => {
+      const p = h ? h.probs[i] || 0 : 0;
+      ring.attr('opacity', p).attr('stroke-width', 1 + 5 * p);
+    });
+    this._obsBox.forEach((box, k) => box
+      .attr('stroke', h && h.symbol === k ? '#F59E0B' : this.OBS_COLOR.stroke)
+      .attr('stroke-width', h && h.symbol === k ? 3 : 1.2));
+  }
+
   /* ── Render (called every seekTo / feedIteration) ─────────── */
   _render(idx) {
     if (idx < 0 || idx >= this.history.length || !this.built) return;
@@ -557,10 +640,95 @@ class StateTransitionDiagram {
         .attr('opacity', showLbl ? 1 : 0).attr('font-size', '11px').attr('font-weight', '700');
     }
 
+    if (this.densityMode) this._renderDensities(this.history[idx].emission);
+
     this._rebuildParticles(A);
     if (this.inspectorEl?.classList.contains('visible')) this._renderInspector(idx);
   }
 
+  /* ── Density panel (continuous emissions) ─────────────────── */
+  _buildDensityPanel(W, obsY, obsH, emStroke, emFontSz) {
+    const N = this.N, SC = this.STATE_COLORS, OC = this.OBS_COLOR, R = this._R;
+    const x0 = 60, x1 = W - 60;
+    const base = obsY + obsH / 2, top = obsY - obsH / 2 - 6;
+    this._dp = { x0, x1, base, top };
+
+    this._obsG.append('rect')
+      .attr('x', x0 - 10).attr('y', top - 6).attr('width', x1 - x0 + 20).attr('height', base - top + 24)
+      .attr('rx', 6).attr('fill', OC.fill).attr('stroke', OC.stroke).attr('stroke-width', 1.2)
+      .attr('filter', 'url(#shd)');
+    this._obsG.append('line')
+      .attr('x1', x0).attr('x2', x1).attr('y1', base).attr('y2', base)
+      .attr('stroke', OC.stroke).attr('stroke-width', 1);
+    this._dpTicks = this._obsG.append('g');
+
+    this._dnR = [];
+    for (let i = 0; i < N; i++) {
+      const col = SC[i % SC.length], sp = this._sp[i];
+      const curve = this._obsG.append('path')
+        .attr('fill', col.base).attr('fill-opacity', 0.12)
+        .attr('stroke', col.base).attr('stroke-width', 1.8);
+      const path = this._emG.append('path')
+        .attr('fill', 'none').attr('stroke', col.base)
+        .attr('stroke-width', emStroke).attr('opacity', 0.45)
+        .attr('stroke-dasharray', '4 3').attr('marker-end', 'url(#ah-em)');
+      const hit = this._emG.append('path')
+        .attr('fill', 'none').attr('stroke', 'rgba(0,0,0,0)')
+        .attr('stroke-width', 5).style('pointer-events', 'stroke').attr('cursor', 'pointer');
+      const label = this._emG.append('text')
+        .attr('text-anchor', 'middle').attr('font-size', emFontSz)
+        .attr('font-family', this.monoFont).attr('font-weight', '700').attr('fill', col.dark);
+      this._dnR.push({ curve, path, hit, label, sx: sp.x, sy: sp.y + R });
+      for (const el of [curve, path, hit]) {
+        el.on('mouseover', ev => this._showTip(ev, `f[${i}]`)).on('mouseout', () => this._hideTip());
+      }
+    }
+  }
+
+  _renderDensities(emission) {
+    const comps = emission.components, { x0, x1, base, top } = this._dp;
+    const pdf = (cs, x) => cs.reduce((s, c) =>
+      s + c.weight * Math.exp(-0.5 * (x - c.mean) ** 2 / c.variance) / Math.sqrt(2 * Math.PI * c.variance), 0);
+
+    // Shared x-range: every component ± 3.5σ
+    let lo = Infinity, hi = -Infinity;
+    comps.flat().forEach(c => {
+      const sd = Math.sqrt(c.variance);
+      lo = Math.min(lo, c.mean - 3.5 * sd); hi = Math.max(hi, c.mean + 3.5 * sd);
+    });
+    if (!(hi > lo)) { lo -= 1; hi += 1; }
+    const G  = 160;
+    const xs = Array.from({ length: G }, (_, g) => lo + (hi - lo) * g / (G - 1));
+    const ys = comps.map(cs => xs.map(x => pdf(cs, x)));
+    const yMax = Math.max(...ys.flat()) || 1;
+    const px = x => x0 + (x - lo) / (hi - lo) * (x1 - x0);
+    const py = y => base - y / yMax * (base - top);
+
+    this._dpTicks.selectAll('*').remove();
+    d3.scaleLinear().domain([lo, hi]).ticks(6).forEach(v => {
+      this._dpTicks.append('text').attr('x', px(v)).attr('y', base + 12)
+        .attr('text-anchor', 'middle').attr('font-size', '9px')
+        .attr('font-family', this.monoFont).attr('fill', this.OBS_COLOR.dark).text(v);
+    });
+
+    comps.forEach((cs, i) => {
+      const r = this._dnR[i]; if (!r) return;
+      const d = `M${px(xs[0])},${base} ` + xs.map((x, g) => `L${px(x)},${py(ys[i][g])}`).join(' ') + ` L${px(xs[G - 1])},${base} Z`;
+      r.curve.attr('d', d);
+
+      // Arrow from the state to the peak of its density
+      let gPeak = 0;
+      for (let g = 1; g < G; g++) if (ys[i][g] > ys[i][gPeak]) gPeak = g;
+      const ex = px(xs[gPeak]), ey = py(ys[i][gPeak]) - 4;
+      const dist = ey - r.sy;
+      const dp = `M${r.sx},${r.sy} C${r.sx},${r.sy + dist * 0.5} ${ex},${ey - dist * 0.5} ${ex},${ey}`;
+      r.path.transition().duration(180).attr('d', dp);
+      r.hit.attr('d', dp);
+      const mu = cs.reduce((s, c) => s + c.weight * c.mean, 0);
+      r.label.attr('x', (r.sx + ex) / 2).attr('y', (r.sy + ey) / 2).text(`μ=${mu.toFixed(2)}`);
+    });
+  }
+
   /* ── Particles ────────────────────────────────────────────── */
   _rebuildParticles(A) {
     this._clearParticles();
@@ -649,7 +817,7 @@ class StateTransitionDiagram {
   _renderInspector(ii, hl) {
     if (!this.inspectorEl) return;
     const d = this.history[ii]; if (!d) return;
-    const N = d.A.length, M = d.B[0].length, SC = this.STATE_COLORS;
+    const N = d.A.length, SC = this.STATE_COLORS;
     let h = `<h4>Iteration ${d.iteration} &nbsp;|&nbsp; log P(O|λ) = ${d.log_likelihood.toFixed(4)}</h4>`;
     h += `<div style="margin-bottom:6px"><strong style="color:#94a3b8">π:</strong> [${
       d.pi.map((v, i) => `<span style="color:${SC[i % SC.length].base}">${v.toFixed(4)}</span>`).join(', ')
@@ -664,8 +832,14 @@ class StateTransitionDiagram {
       }
       h += `</tr>`;
     }
-    h += `</table></div><strong style="color:#94a3b8">B (Emissions):</strong>
-      <table><tr><th></th>${Array.from({ length: M }, (_, k) => `<th>O${k}</th>`).join('')}</tr>`;
+    h += `</table></div>`;
+    if (d.emission?.type === 'density') {
+      this.inspectorEl.innerHTML = h + this._densityInspector(d.emission, hl);
+      return;
+    }
+    const M = d.B[0].length;
+    h += `<strong style="color:#94a3b8">B (Emissions):</strong>
+      <table><tr><th></th>${Array.from({ length: M }, (_, k) => `<th>${this._escape(this._symbolName(k))}</th>`).join('')}</tr>`;
     for (let i = 0; i < N; i++) {
       h += `<tr${i === hl ? ' style="background:rgba(6,182,212,0.1)"' : ''}><th>S${i}</th>`;
       for (let k = 0; k < M; k++) {
@@ -678,6 +852,20 @@ class StateTransitionDiagram {
     this.inspectorEl.innerHTML = h;
   }
 
+  _densityInspector(emission, hl) {
+    const SC = this.STATE_COLORS;
+    let h = `<strong style="color:#94a3b8">Emission densities (dimension 1):</strong>
+      <table><tr><th></th><th>weight</th><th>μ</th><th>σ²</th></tr>`;
+    emission.components.forEach((cs, i) => cs.forEach((c, k) => {
+      h += `<tr${i === hl ? ' style="background:rgba(6,182,212,0.1)"' : ''}>`;
+      h += `<th>${k === 0 ? `S${i}` : ''}</th>`;
+      h += [c.weight, c.mean, c.variance]
+        .map(v => `<td style="color:${SC[i % SC.length].light}">${v.toFixed(4)}</td>`).join('');
+      h += `</tr>`;
+    }));
+    return h + `</table>`;
+  }
+
   /* ── Tooltip ──────────────────────────────────────────────── */
   _showTip(ev, txt) {
     if (!this._tip) return;
@@ -687,9 +875,17 @@ class StateTransitionDiagram {
       const mA = txt.match(/^A\[(\d+)\]\[(\d+)\]$/);
       const mB = txt.match(/^B\[(\d+)\]\[(\d+)\]$/);
       const mP = txt.match(/^π\[(\d+)\]$/);
+      const mF = txt.match(/^f\[(\d+)\]$/);
+      const p  = this.pinned;
+      const pinned = (mA && p?.A?.[+mA[1]]?.[+mA[2]]) || (mB && p?.B?.[+mB[1]]?.[+mB[2]]) || (mP && p?.pi?.[+mP[1]]);
       if (mA) label = `${txt} = ${d.A[+mA[1]][+mA[2]].toFixed(6)}`;
-      else if (mB) label = `${txt} = ${d.B[+mB[1]][+mB[2]].toFixed(6)}`;
+      else if (mB) label = `${txt} = ${d.B[+mB[1]][+mB[2]].toFixed(6)}` +
+        (this.symbols ? `  P(${this._symbolName(+mB[2])} | S${mB[1]})` : '');
       else if (mP) label = `${txt} = ${d.pi[+mP[1]].toFixed(6)}`;
+      if (pinned) label += '  (pinned)';
+      else if (mF) label = `b${mF[1]}(o): ` + d.emission.components[+mF[1]]
+        .map(c => `${c.weight < 1 ? c.weight.toFixed(2) + '·' : ''}N(${c.mean.toFixed(3)}, ${c.variance.toFixed(3)})`)
+        .join(' + ');
     }
     const rect = this.container.getBoundingClientRect();
     this._tip.style('display', 'block').text(label)
@@ -698,6 +894,11 @@ class StateTransitionDiagram {
   }
   _hideTip() { if (this._tip) this._tip.style('display', 'none'); }
 
+  /** Names come from user data, so escape them before they go into innerHTML. */
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  }
+
   /* ── Wire controls ────────────────────────────────────────── */
   wireControls(c) {
     this._ctrl = c;
@@ -6,12 +6,65 @@
  * Contents:
  *   §1  mulberry32   Seeded PRNG
  *   §2  logSumExp    Numerically stable log-sum-exp
+ *       randomRow    Random stochastic row
+ *       sampleIndex  Draw an index from a discrete distribution
+ *       sampleNormal Standard normal draw (Box–Muller)
+ *       rowViews     [t][i] views over a flat T·N buffer
+ *       logGamma     log Γ(x) (Lanczos)
+ *       dirichletLogPdf  log Dir(θ; α) of a probability row
  *   §3  class HMM    Scaled forward/backward EM (Rabiner 1989)
  *       _forward()   Scaled α pass → logLik, no underflow
- *       _backward()  Scaled β pass
- *       _estep()     Compute γ and ξ
- *       _mstep()     Re-estimate A, B, π
- *       train()      Full EM loop with convergence check
+ *       _estep()     Scaled β sweep → γ, ξ summed on the fly (no ξ array)
+ *       _mstep()     Re-estimate A, B, π (pooled over sequences)
+ *       step()       One EM iteration (or Viterbi-training step)
+ *       train()      Full EM loop with convergence check and early stopping
+ *       logPrior()   log P(λ) under the Dirichlet priors (MAP training)
+ *       viterbi()    Log-space most likely state path
+ *       logLikelihood()  log P(O|λ) of one or more sequences
+ *       posterior()  Per-step log-lik and γ of any sequence under λ
+ *       numParams()  Free parameter count (for AIC / BIC)
+ *       sample()     Draw a hidden path and observations from λ
+ *       fromParams() Build a model from given π, A and emissions
+ *       toJSON()     Versioned snapshot of λ, settings and history
+ *       fromJSON()   Rebuild a model from toJSON() output
+ *       checkSavedModel  Type and shape checks on a model file
+ *       checkSavedConstraints  The same for its constraint settings
+ *  §27  Emission models
+ *       DiscreteEmission   B[N][M] symbol table
+ *       GaussianEmission   Per-state mean / variance (diagonal)
+ *       GMMEmission        K-component Gaussian mixture per state
+ *       EMISSION_MODELS    Registry used by the HMM constructor
+ *       reviveEmission     Rebuild a model from a structured-clone copy
+ *  §28  Model search
+ *       summarise          Five-number summary + mean / sd
+ *       restartScore       log P(O|λ) (+ log P(λ) with a prior) of a trained model
+ *       trainWithRestarts  R seeded restarts, keep the best restartScore()
+ *       countObserved      Non-missing steps over a list of sequences
+ *       splitHoldOut       Train / held-out split of a data set
+ *       kFoldSplits        k train / test splits for cross-validation
+ *       crossValidate      Validation log-lik per iteration over k folds
+ *       selectModelOrder   AIC, BIC and held-out log-lik over a range of N
+ *  §29  Ground-truth comparison
+ *       hungarian          Minimum-cost assignment
+ *       emissionTable      Emission parameters as one row per state
+ *       compareModels      Align learned states to a known λ, per-entry errors
+ *       decodingAccuracy   Fraction of steps whose aligned state is right
+ *  §12  Structural constraints
+ *       resolveConstraints Topology, pinned entries and ties → per-entry pins
+ *       constrainRow       Renormalise a row around its pinned entries
+ *       poolTiedStats      Share sufficient statistics across tied states
+ *       tieEmissionRows    Copy each tie group's first emission row to the rest
+ *  §30  Evaluation
+ *       windowMeans        Trailing moving average of per-step log-lik
+ *       evaluateSequences  Score and decode sequences with a trained model
+ *       anomalyThreshold   Lowest window score seen on the training data
+ *       findAnomalies      Runs of windows scoring below a threshold
+ *  §19  Online filtering
+ *       class OnlineFilter push() one observation → filtered and
+ *                          fixed-lag smoothed state distributions
+ *  §21  Online EM
+ *       class OnlineEM     Re-estimate λ from a sliding window as data arrives
+ *       blendStats         (1 − η)·old + η·new over expected-count objects
  * ──────────────────────────────────────────────────────────────
  */
 
@@ -44,6 +97,60 @@ function logSumExp(arr) {
   return max + Math.log(s);
 }
 
+/** Returns a random normalised row of length k (always sums to 1, no zeros). */
+function randomRow(k, rand) {
+  const v = Array.from({ length: k }, () => rand() + 0.2);
+  const s = v.reduce((a, b) => a + b, 0);
+  return v.map(x => x / s);
+}
+
+/** Draw an index from the (normalised) distribution p using rand(). */
+function sampleIndex(p, rand) {
+  let u = rand(), last = 0;
+  for (let k = 0; k < p.length; k++) {
+    if (p[k] > 0) last = k;
+    u -= p[k];
+    if (u < 0) return k;
+  }
+  return last;    // float round-off: fall back to the last reachable index
+}
+
+/** Standard normal draw via Box–Muller, using rand() for the uniforms. */
+function sampleNormal(rand) {
+  const u = rand() || 1e-12, v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** [t][i] row views over a flat T·N buffer — no copying. */
+function rowViews(buf, T, N) {
+  return Array.from({ length: T }, (_, t) => buf.subarray(t * N, (t + 1) * N));
+}
+
+/** log Γ(x) for x > 0 — Lanczos approximation (g = 7, 9 terms). */
+function logGamma(x) {
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/**
+ * log Dir(θ; α, …, α) of one probability row under a symmetric prior.
+ * Entries whose pin is not null are held fixed, so they are left out.
+ */
+function dirichletLogPdf(row, alpha, pins) {
+  const free = row.filter((_, k) => !pins || pins[k] === null);
+  if (!free.length) return 0;
+  let lp = logGamma(alpha * free.length) - free.length * logGamma(alpha);
+  if (alpha !== 1) for (const v of free) lp += (alpha - 1) * Math.log(v > 0 ? v : 1e-300);
+  return lp;
+}
+
 // #endregion
 
 
@@ -53,8 +160,10 @@ function logSumExp(arr) {
 //
 // Uses Rabiner (1989) scaled forward/backward to avoid underflow.
 // All computation stays in probability space — no log-domain mixing.
-// logAlpha is reconstructed at the end of _forward() solely for the
-// UI charts; the training loop itself never touches log values.
+// Per-step quantities (E, α, γ) live in flat T·N Float64Arrays and ξ
+// is summed during the backward sweep, so memory grows as T·N, never
+// T·N². log α is rebuilt by _logAlpha() solely for the UI charts; the
+// training loop itself never touches log values.
 //
 // ══════════════════════════════════════════════════════════════
 
@@ -63,251 +172,1941 @@ function logSumExp(arr) {
 class HMM {
 
   // ── §2.1 Initialisation ──────────────────────────────────────
+  /**
+   * obs may be a single sequence ([0, 1, 2, …]) or an array of
+   * independent sequences ([[0, 1, …], [2, 0, …]]). Sequences are never
+   * joined, so no transition is counted across a sequence boundary.
+   * A null entry is a missing observation (see §27). For Gaussian and GMM
+   * models with M > 1 every observation is itself a vector, so a single
+   * sequence is [[1.2, 0.7], [0.3, 1.1], …] and a list of them sits one
+   * level deeper (see asSequences).
+   *
+   * opts.emission picks the emission model ('discrete' by default, or
+   * 'gaussian' for real-valued data — see §27). For discrete models M is
+   * the number of symbols; for Gaussian ones it is the observation
+   * dimension and is inferred from the data. 'gmm' gives every state a
+   * mixture of opts.mixtures (K) diagonal Gaussians.
+   *
+   * opts.maxIter caps the EM updates (100 by default); 0 keeps the
+   * initial λ as it is.
+   *
+   * opts.init = { pi, A, B } or { pi, A, emission } starts from given
+   * parameters instead of a random draw (obs may then be empty).
+   *
+   * opts.constraints = { topology, band, pins, ties } restricts λ — see
+   * §12. The constraints hold from the initial λ through every M-step.
+   *
+   * opts.prior = { pi, A, B } gives a symmetric Dirichlet concentration
+   * α ≥ 1 for the rows of π, A and B (B covers discrete rows and GMM
+   * weights). The M-step then adds α − 1 pseudocounts to the expected
+   * counts (MAP estimate) and convergence is judged on the log posterior.
+   *
+   * opts.symbols = ['sunny', …] optionally names the M discrete symbols;
+   * the labels travel with the model through toJSON().
+   *
+   * opts.validation = sequences kept out of training; their log P(O|λ)
+   * is recorded every iteration in validLogLikeHistory. opts.earlyStopping
+   * = p then stops once it has not improved for p iterations and keeps
+   * the λ that scored best on them.
+   *
+   * opts.trainer picks how λ is re-estimated (see HMM.TRAINERS):
+   * 'baum-welch' (default) uses expected counts over every path;
+   * 'viterbi' uses hard counts along the single best path and maximises
+   * log P(O, Q*|λ) instead; 'kmeans' (segmental k-means) does the same
+   * after fitting the emissions to a uniform segmentation of the data.
+   *
+   * opts.labels = one state-label track per sequence, a state index or
+   * null at each step. A fully labelled sequence contributes the
+   * closed-form counts of its path; in a partly labelled one the known
+   * steps are clamped during forward/backward (and Viterbi), so γ is
+   * one-hot there and the objective becomes log P(O, labels|λ).
+   */
   constructor(obs, N, M, opts = {}) {
-    this.O = obs;
-    this.T = obs.length;
+    const type = opts.init?.emission?.type || opts.emission || 'discrete';
+    const dim  = HMM.observationDim(type, M);
+    this.seqs = HMM.asSequences(obs, dim);
+    this.O = this.seqs[0];
+    this.T = this.seqs.reduce((n, s) => n + s.length, 0);
     this.N = N;
     this.M = M;
-    this.maxIter = opts.maxIter || 100;
+    this.maxIter = Number.isInteger(opts.maxIter) && opts.maxIter >= 0 ? opts.maxIter : 100;
     this.epsilon  = opts.epsilon  || 1e-6;
+    this.seed     = opts.seed     || 42;
+    this.symbols  = opts.symbols  || null;
+    this.emissionType = opts.emission || 'discrete';
 
-    const rand = mulberry32(opts.seed || 42);
+    const Emission = EMISSION_MODELS[this.emissionType];
+    if (!Emission) throw new Error(`Unknown emission model "${this.emissionType}"`);
+
+    const rand = mulberry32(this.seed);
 
     // Dirichlet-like init: uniform(0,1) + 0.2 floor prevents zero entries
     this.pi = this._randRow(N, rand);
     this.A  = Array.from({ length: N }, () => this._randRow(N, rand));
-    this.B  = Array.from({ length: N }, () => this._randRow(M, rand));
+    if (opts.init) {
+      this.pi = opts.init.pi.map(Number);
+      this.A  = opts.init.A.map(r => r.map(Number));
+      // reviveEmission also accepts a plain copy, e.g. one that came through postMessage
+      this.emission = opts.init.emission
+        ? reviveEmission(opts.init.emission)
+        : new DiscreteEmission(opts.init.B.map(r => r.map(Number)));
+      this.emissionType = this.emission.type;
+    } else {
+      this.emission = Emission.init(N, M, this.seqs, rand, opts);
+    }
+    if (this.emissionType !== 'discrete') this.M = this.emission.D;
+
+    this.constraintSpec = opts.constraints || null;
+    this.constraints    = opts.constraints
+      ? resolveConstraints(opts.constraints, N, this.M, this.emissionType) : null;
+    if (this.constraints) Object.assign(this, this._constrain(this));
+
+    this.labels = opts.labels ? HMM.asSequences(opts.labels).map(Q => Q.map(q => q ?? null)) : null;
+    if (this.labels && (this.labels.length !== this.seqs.length
+        || this.labels.some((Q, r) => Q.length !== this.seqs[r].length)))
+      throw new Error('Every state label track must be as long as its observation sequence');
+    if (this.labels?.some(Q => Q.some(q => q !== null && !(Number.isInteger(q) && q >= 0 && q < N))))
+      throw new Error(`State labels must be state indices 0 … ${N - 1}`);
+
+    this.validSeqs     = opts.validation?.length ? HMM.asSequences(opts.validation, dim) : [];
+    this.earlyStopping = this.validSeqs.length ? opts.earlyStopping || 0 : 0;
+
+    this.prior = null;
+    if (opts.prior) {
+      this.prior = { pi: 1, A: 1, B: 1, ...opts.prior };
+      for (const key of ['pi', 'A', 'B']) {
+        if (!(this.prior[key] >= 1)) throw new Error(`Dirichlet concentration for ${key} must be ≥ 1`);
+      }
+    }
 
-    this.logLikeHistory = [];
+    this.trainer = opts.trainer || 'baum-welch';
+    if (!HMM.TRAINERS[this.trainer]) throw new Error(`Unknown trainer "${this.trainer}"`);
+    if (this.trainer === 'kmeans' && !opts.init && this.T) this._segmentInit();
+
+    this.logLikeHistory  = [];
+    this.logPriorHistory = [];
+    this.validLogLikeHistory = [];
     this.iterations     = 0;
     this.converged      = false;
+    this.stoppedEarly   = false;
+    this.bestIteration  = null;
     this.finalAlpha     = null;
     this.finalGamma     = null;
+    this.finalAlphas    = [];
+    this.finalGammas    = [];
+  }
+
+  /** Label of the quantity logLikeHistory holds for this model's trainer. */
+  get objectiveLabel() { return HMM.TRAINERS[this.trainer]; }
+
+  /**
+   * Normalise the constructor input to an array of sequences. dim is the
+   * observation dimension: with dim > 1 an observation is an array too,
+   * so obs only counts as a list of sequences when its first entry holds
+   * arrays (or is all missing) — [[1.2, 0.7], [0.3, 1.1]] is then one
+   * sequence of two 2-D observations, not two scalar sequences.
+   */
+  static asSequences(obs, dim = 1) {
+    const first = obs[0];
+    if (!Array.isArray(first)) return [obs];
+    if (dim > 1) {
+      const o = first.find(v => v !== null);
+      if (o !== undefined && !Array.isArray(o)) return [obs];
+    }
+    return obs.filter(s => s.length);
+  }
+
+  /** Observation dimension for asSequences(): M for continuous emissions, else 1. */
+  static observationDim(emissionType, M) {
+    return emissionType === 'discrete' ? 1 : M || 1;
   }
 
+  /** Discrete emission table B[N][M]; undefined for continuous models. */
+  get B()  { return this.emission.B; }
+  set B(B) { this.emission = new DiscreteEmission(B); }
+
   /** Returns a random normalised row of length k (always sums to 1, no zeros). */
   _randRow(k, rand) {
-    const v = Array.from({ length: k }, () => rand() + 0.2);
-    const s = v.reduce((a, b) => a + b, 0);
-    return v.map(x => x / s);
+    return randomRow(k, rand);
   }
 
 
   // ── §2.2 Forward pass ────────────────────────────────────────
   /**
-   * Scaled forward algorithm.
+   * Scaled forward algorithm. E is the emission model's flat T·N buffer,
+   * E[t·N + i] = bᵢ(oₜ), so the recursion is the same for every
+   * emission type.
    *
    * Returns:
-   *   alpha[t][i]  — scaled α (rows always sum to 1)
-   *   c[t]         — scale factor = 1 / Σᵢ α_unscaled[t][i]
-   *   logLik       — log P(O|λ) = −Σₜ log c[t]
-   *   logAlpha     — unscaled log α, used only for UI charts
+   *   alpha[t·N + i]  — scaled α, flat T·N (each row sums to 1)
+   *   c[t]            — scale factor = 1 / Σᵢ α_unscaled[t][i]
+   *   logLik          — log P(O|λ) = −Σₜ log c[t]
    */
-  _forward() {
-    const { T, N, O, pi, A, B } = this;
-    const alpha    = Array.from({ length: T }, () => new Float64Array(N));
-    const c        = new Float64Array(T);
-    const logAlpha = Array.from({ length: T }, () => new Float64Array(N));
+  _forward(O = this.O, E = this.emission.probs(O)) {
+    const { N, pi, A } = this;
+    const T = O.length;
+    const alpha = new Float64Array(T * N);
+    const c     = new Float64Array(T);
 
     // t = 0
     let sum = 0;
     for (let i = 0; i < N; i++) {
-      alpha[0][i] = pi[i] * (B[i][O[0]] || 1e-300);
-      sum += alpha[0][i];
+      alpha[i] = pi[i] * E[i];
+      sum += alpha[i];
     }
     c[0] = sum > 0 ? 1 / sum : 1;
-    for (let i = 0; i < N; i++) alpha[0][i] *= c[0];
+    for (let i = 0; i < N; i++) alpha[i] *= c[0];
 
     // t = 1 … T−1
     for (let t = 1; t < T; t++) {
+      const prev = (t - 1) * N, row = t * N;
       sum = 0;
       for (let j = 0; j < N; j++) {
         let acc = 0;
-        for (let i = 0; i < N; i++) acc += alpha[t - 1][i] * A[i][j];
-        alpha[t][j] = acc * (B[j][O[t]] || 1e-300);
-        sum += alpha[t][j];
+        for (let i = 0; i < N; i++) acc += alpha[prev + i] * A[i][j];
+        alpha[row + j] = acc * E[row + j];
+        sum += alpha[row + j];
       }
       c[t] = sum > 0 ? 1 / sum : 1;
-      for (let j = 0; j < N; j++) alpha[t][j] *= c[t];
+      for (let j = 0; j < N; j++) alpha[row + j] *= c[t];
     }
 
     // log P(O|λ) = −Σₜ log c[t]
     let logLik = 0;
     for (let t = 0; t < T; t++) logLik -= Math.log(c[t] > 0 ? c[t] : 1e-300);
 
-    // Reconstruct log α for charts (scaled alpha → unscaled log alpha)
+    return { alpha, c, logLik };
+  }
+
+  /**
+   * Unscaled log α for the charts, as one row view per time step over a
+   * single flat buffer. Training never needs it.
+   */
+  _logAlpha({ alpha, c }) {
+    const N = this.N, T = c.length;
+    const out = new Float64Array(T * N);
     for (let t = 0; t < T; t++) {
       const logUnscale = -Math.log(c[t] > 0 ? c[t] : 1e-300);
       for (let i = 0; i < N; i++) {
-        logAlpha[t][i] = Math.log(alpha[t][i] > 0 ? alpha[t][i] : 1e-300) + logUnscale;
+        const a = alpha[t * N + i];
+        out[t * N + i] = Math.log(a > 0 ? a : 1e-300) + logUnscale;
       }
     }
-
-    return { alpha, c, logLik, logAlpha };
+    return rowViews(out, T, N);
   }
 
 
-  // ── §2.3 Backward pass ───────────────────────────────────────
+  // ── §2.3 Backward pass + E-step ──────────────────────────────
   /**
-   * Scaled backward algorithm.
-   * Uses the same scale factors c[] produced by _forward().
+   * Scaled backward sweep (same scale factors c[] as _forward) that
+   * produces γ and adds the expected counts straight into acc, so ξ is
+   * never stored and only two rows of β are alive at a time:
+   *
+   *   γ[t·N + i]  = P(qₜ=Sᵢ | O, λ)                    — returned, flat T·N
+   *   ξₜ(i, j)    = P(qₜ=Sᵢ, qₜ₊₁=Sⱼ | O, λ)           — summed into acc.numA
+   *
+   * acc = _newAccumulator() collects π, ξ and γ sums plus the emission
+   * statistics over every sequence; pass null to get γ alone.
    */
-  _backward(c) {
-    const { T, N, O, A, B } = this;
-    const beta = Array.from({ length: T }, () => new Float64Array(N));
+  _estep(O, E, { alpha, c }, acc) {
+    const { N, A } = this;
+    const T = c.length;
+    const gamma = new Float64Array(T * N);
+    let beta = new Float64Array(N), next = new Float64Array(N);
+    const w  = new Float64Array(N);
+
+    // γ row t from α and β, normalised against float drift
+    const occupancy = t => {
+      let s = 0;
+      for (let i = 0; i < N; i++) {
+        gamma[t * N + i] = alpha[t * N + i] * beta[i];
+        s += gamma[t * N + i];
+      }
+      if (s > 0) for (let i = 0; i < N; i++) gamma[t * N + i] /= s;
+    };
 
     // t = T−1: initialise scaled β = 1 · c[T−1]
-    for (let i = 0; i < N; i++) beta[T - 1][i] = c[T - 1];
+    beta.fill(c[T - 1]);
+    occupancy(T - 1);
 
     for (let t = T - 2; t >= 0; t--) {
+      [beta, next] = [next, beta];           // next now holds β[t+1]
+      for (let j = 0; j < N; j++) w[j] = E[(t + 1) * N + j] * next[j];
+
+      let s = 0;
       for (let i = 0; i < N; i++) {
-        let acc = 0;
-        for (let j = 0; j < N; j++) {
-          acc += A[i][j] * (B[j][O[t + 1]] || 1e-300) * beta[t + 1][j];
+        let aw = 0;
+        for (let j = 0; j < N; j++) aw += A[i][j] * w[j];
+        beta[i] = aw * c[t];
+        s += alpha[t * N + i] * aw;        // Σᵢⱼ of the unnormalised ξₜ
+      }
+      occupancy(t);
+
+      if (acc && s > 0) {
+        for (let i = 0; i < N; i++) {
+          const a = alpha[t * N + i] / s;
+          acc.denA[i] += gamma[t * N + i];
+          for (let j = 0; j < N; j++) acc.numA[i][j] += a * A[i][j] * w[j];
         }
-        beta[t][i] = acc * c[t];
+      } else if (acc) {
+        for (let i = 0; i < N; i++) acc.denA[i] += gamma[t * N + i];
       }
     }
-    return beta;
+
+    if (acc) {
+      for (let i = 0; i < N; i++) acc.pi[i] += gamma[i];
+      this.emission.accumulate(acc.stats, O, gamma);
+    }
+    return gamma;
   }
 
+  /**
+   * Hard counts: add one state path to acc as if γ put all its weight
+   * on path[t], so the M-step turns them into relative frequencies.
+   */
+  _accumulatePath(O, path, acc) {
+    const { N } = this;
+    const T = O.length;
+    if (!T) return;
+    const gamma = new Float64Array(T * N);
+    for (let t = 0; t < T; t++) gamma[t * N + path[t]] = 1;
+    acc.pi[path[0]] += 1;
+    for (let t = 0; t < T - 1; t++) {
+      acc.numA[path[t]][path[t + 1]] += 1;
+      acc.denA[path[t]] += 1;
+    }
+    this.emission.accumulate(acc.stats, O, gamma);
+  }
 
-  // ── §2.4 E-step ──────────────────────────────────────────────
   /**
-   * Compute γ (state occupancy) and ξ (transition occupancy)
-   * from the scaled α and β matrices.
-   *
-   * γ[t][i]    = P(qₜ=Sᵢ | O, λ)
-   * ξ[t][i][j] = P(qₜ=Sᵢ, qₜ₊₁=Sⱼ | O, λ)
+   * Segmental k-means start: cut every sequence into N equal runs, give
+   * run i to state i (or the labelled state, where known) and fit the
+   * emission model to that labelling. π and A keep their random start,
+   * so an ergodic model stays ergodic.
    */
-  _estep(alpha, beta) {
-    const { T, N, O, A, B } = this;
+  _segmentInit() {
+    const acc = this._newAccumulator();
+    this.seqs.forEach((O, r) => this._accumulatePath(O,
+      O.map((_, t) => this.labels?.[r][t] ?? Math.floor(t * this.N / O.length)), acc));
+    this.emission = this._mstep(acc).emission;
+  }
 
-    const gamma = Array.from({ length: T }, (_, t) => {
-      const g = new Float64Array(N);
-      let s = 0;
-      for (let i = 0; i < N; i++) {
-        g[i] = alpha[t][i] * beta[t][i];
-        s += g[i];
-      }
-      if (s > 0) for (let i = 0; i < N; i++) g[i] /= s;
-      return g;
+  /**
+   * Clamp the emission buffer E to a label track Q: at a labelled step
+   * every other state gets bᵢ(oₜ) = 0, so forward/backward and Viterbi
+   * can only pass through the known state. Modifies and returns E.
+   */
+  _clamp(E, Q) {
+    if (!Q) return E;
+    const { N } = this;
+    Q.forEach((q, t) => {
+      if (q === null) return;
+      for (let i = 0; i < N; i++) if (i !== q) E[t * N + i] = 0;
     });
+    return E;
+  }
 
-    const xi = Array.from({ length: T - 1 }, (_, t) => {
-      const mat = Array.from({ length: N }, () => new Float64Array(N));
-      let s = 0;
-      for (let i = 0; i < N; i++) {
-        for (let j = 0; j < N; j++) {
-          mat[i][j] = alpha[t][i] * A[i][j] * (B[j][O[t + 1]] || 1e-300) * beta[t + 1][j];
-          s += mat[i][j];
-        }
-      }
-      if (s > 0) {
-        for (let i = 0; i < N; i++)
-          for (let j = 0; j < N; j++)
-            mat[i][j] /= s;
-      }
-      return mat;
-    });
+  /** log P(O, Q|λ) of one given state path Q, from the emission buffer E. */
+  _pathLogProb(Q, E) {
+    const { N, pi, A } = this;
+    const log = x => Math.log(x > 0 ? x : 1e-300);
+    let lp = log(pi[Q[0]]) + log(E[Q[0]]);
+    for (let t = 1; t < Q.length; t++) lp += log(A[Q[t - 1]][Q[t]]) + log(E[t * N + Q[t]]);
+    return lp;
+  }
 
-    return { gamma, xi };
+  /** Empty expected-count sums for one EM iteration. */
+  _newAccumulator() {
+    const { N } = this;
+    return {
+      pi:    new Array(N).fill(0),
+      numA:  Array.from({ length: N }, () => new Array(N).fill(0)),
+      denA:  new Array(N).fill(0),
+      stats: this.emission.newStats(),
+    };
   }
 
 
-  // ── §2.5 M-step ──────────────────────────────────────────────
+  // ── §2.4 M-step ──────────────────────────────────────────────
   /**
-   * Re-estimate A, B, π from the soft counts in γ and ξ.
+   * Re-estimate A, π and the emission model from the expected counts
+   * that _estep() pooled over every sequence, so each recording
+   * contributes its own start state and its own transitions.
    * All output rows are renormalised to guard against float drift.
+   * A state that was never left keeps its old A row (possible with the
+   * hard counts of Viterbi training).
    */
-  _mstep(gamma, xi) {
-    const { T, N, M, O } = this;
-
-    const pi = Array.from(gamma[0]);
-
-    const newA = Array.from({ length: N }, (_, i) => {
-      let den = 0;
-      for (let t = 0; t < T - 1; t++) den += gamma[t][i];
-      den = den || 1e-300;
-      return Array.from({ length: N }, (_, j) => {
-        let num = 0;
-        for (let t = 0; t < T - 1; t++) num += xi[t][i][j];
-        return num / den;
-      });
-    });
-
-    const newB = Array.from({ length: N }, (_, i) => {
-      let den = 0;
-      for (let t = 0; t < T; t++) den += gamma[t][i];
-      den = den || 1e-300;
-      return Array.from({ length: M }, (_, k) => {
-        let num = 0;
-        for (let t = 0; t < T; t++) if (O[t] === k) num += gamma[t][i];
-        return num / den;
-      });
-    });
+  _mstep({ pi, numA, denA, stats }) {
+    const { N } = this;
+    const c     = this.constraints;
+    const prior = this.prior;
 
     const normalise = row => {
       const s = row.reduce((a, b) => a + b, 0) || 1;
       return row.map(x => x / s);
     };
 
+    if (c) poolTiedStats(stats, c.ties);
+
+    // MAP: Dirichlet(α) priors add α − 1 pseudocounts to every row
+    if (prior) {
+      for (let i = 0; i < N; i++) {
+        pi[i]   += prior.pi - 1;
+        denA[i] += N * (prior.A - 1);
+        for (let j = 0; j < N; j++) numA[i][j] += prior.A - 1;
+      }
+    }
+    const newA = numA.map((row, i) => denA[i] > 0 ? row.map(v => v / denA[i]) : [...this.A[i]]);
+
+    const next = {
+      pi:       normalise(pi),
+      A:        newA.map(normalise),
+      emission: this.emission.reestimate(stats, prior ? prior.B : 1),
+    };
+    return c ? this._constrain(next) : next;
+  }
+
+  /**
+   * Force { pi, A, emission } onto this.constraints: pinned entries take
+   * their fixed value, the free rest of each row is rescaled to fill what
+   * is left, and tied states share the first member's emission row.
+   * Returns new parameters; the input is not modified.
+   */
+  _constrain({ pi, A, emission }) {
+    const c = this.constraints;
+    let e = c.B
+      ? new DiscreteEmission(emission.B.map((row, i) => constrainRow(row, c.B[i])))
+      : emission;
+    if (c.ties.length) e = tieEmissionRows(e, c.ties);
     return {
-      pi: normalise(pi),
-      A:  newA.map(normalise),
-      B:  newB.map(normalise),
+      pi:       constrainRow(pi, c.pi),
+      A:        A.map((row, i) => constrainRow(row, c.A[i])),
+      emission: e,
     };
   }
 
 
-  // ── §2.6 Training loop ───────────────────────────────────────
+  // ── §2.5 Training loop ───────────────────────────────────────
+  /**
+   * One EM iteration over all sequences: E-step, M-step, then λ is
+   * replaced. Returns log P(O|λ) of the λ the iteration started from
+   * (log P(O, Q*|λ) for the Viterbi trainers).
+   */
+  step() {
+    if (this.trainer !== 'baum-welch') return this._viterbiStep();
+    const acc = this._newAccumulator();
+    let logLik = 0;
+    this.seqs.forEach((O, r) => {
+      const Q = this.labels?.[r];
+      const E = this.emission.probs(O);
+      if (Q && !Q.includes(null)) {            // fully labelled: closed-form counts
+        logLik += this._pathLogProb(Q, E);
+        this._accumulatePath(O, Q, acc);
+        return;
+      }
+      const f = this._forward(O, this._clamp(E, Q));
+      logLik += f.logLik;
+      this._estep(O, E, f, acc);
+    });
+    const { pi, A, emission } = this._mstep(acc);
+    this.pi       = pi;
+    this.A        = A;
+    this.emission = emission;
+    return logLik;
+  }
+
+  /**
+   * Viterbi training step: decode every sequence under the current λ and
+   * re-estimate from counts along the best paths. Returns Σ log P(O, Q*|λ)
+   * of the starting λ, which never decreases from one step to the next.
+   */
+  _viterbiStep() {
+    const acc = this._newAccumulator();
+    let logProb = 0;
+    this.seqs.forEach((O, r) => {
+      const Q = this.labels?.[r];
+      const decoded = Q && !Q.includes(null)
+        ? { path: Q, logProb: this._pathLogProb(Q, this.emission.probs(O)) }
+        : this.viterbi(O, Q);
+      logProb += decoded.logProb;
+      this._accumulatePath(O, decoded.path, acc);
+    });
+    const { pi, A, emission } = this._mstep(acc);
+    this.pi       = pi;
+    this.A        = A;
+    this.emission = emission;
+    return logProb;
+  }
+
   /**
-   * Run Baum-Welch EM until convergence or maxIter.
+   * Run EM (or Viterbi training) until convergence or maxIter.
    * logCallback(message, iterIndex, isDone?) is called each step.
+   * With a prior the convergence test is on log P(O|λ) + log P(λ).
+   * With validation data each line also shows its log-likelihood, and
+   * early stopping ends the run and restores the best-scoring λ.
    */
   train(logCallback) {
     let prevLL = -Infinity;
+    let best   = null;          // { validLL, iteration, params } of the best λ on validation data
 
     for (let iter = 0; iter < this.maxIter; iter++) {
-      const { alpha, c, logLik, logAlpha } = this._forward();
-      const beta            = this._backward(c);
-      const { gamma, xi }  = this._estep(alpha, beta);
-      const { pi, A, B }   = this._mstep(gamma, xi);
-
-      this.pi = pi;
-      this.A  = A;
-      this.B  = B;
+      const logPrior = this.prior ? this.logPrior() : 0;
+      const validLL  = this.validSeqs.length ? this.logLikelihood(this.validSeqs) : null;
+      const params   = { pi: this.pi, A: this.A, emission: this.emission };
+      const logLik   = this.step();
       this.logLikeHistory.push(logLik);
+      if (this.prior) this.logPriorHistory.push(logPrior);
+      if (validLL !== null) {
+        this.validLogLikeHistory.push(validLL);
+        if (!best || validLL > best.validLL) best = { validLL, iteration: iter + 1, params };
+      }
       this.iterations = iter + 1;
 
-      const delta    = logLik - prevLL;
-      const deltaStr = !isFinite(prevLL) ? '+∞' : delta.toFixed(8);
+      const objective = logLik + logPrior;
+      const delta     = objective - prevLL;
+      const deltaStr  = !isFinite(prevLL) ? '+∞' : delta.toFixed(8);
+      const priorStr  = this.prior ? `   log P(λ) = ${logPrior.toFixed(6)}` : '';
+      const validStr  = validLL !== null ? `   valid = ${validLL.toFixed(6)}` : '';
 
       if (logCallback)
-        logCallback(`Iter ${iter + 1}:  log P(O|λ) = ${logLik.toFixed(6)}   Δ = ${deltaStr}`, iter);
+        logCallback(`Iter ${iter + 1}:  ${this.objectiveLabel} = ${logLik.toFixed(6)}${priorStr}${validStr}   Δ = ${deltaStr}`, iter);
 
       if (iter > 0 && Math.abs(delta) < this.epsilon) {
         this.converged = true;
-        const f  = this._forward();
-        const fb = this._backward(f.c);
-        const fg = this._estep(f.alpha, fb);
-        this.finalAlpha = f.logAlpha;
-        this.finalGamma = fg.gamma;
         if (logCallback) logCallback(`✓ Converged at iteration ${iter + 1}`, iter, true);
         break;
       }
-      prevLL = logLik;
+      if (this.earlyStopping && iter + 1 - best.iteration >= this.earlyStopping) {
+        this.stoppedEarly = true;
+        if (logCallback) logCallback(`■ Stopped early at iteration ${iter + 1}: validation log-lik has not improved for ${this.earlyStopping} iterations`, iter, true);
+        break;
+      }
+      prevLL = objective;
+    }
+
+    // Early stopping keeps the best λ seen, unless the last update beat it
+    if (this.earlyStopping && best && this.logLikelihood(this.validSeqs) < best.validLL) {
+      Object.assign(this, best.params);
+      this.bestIteration = best.iteration;
+      if (logCallback) logCallback(`↺ Kept λ from iteration ${best.iteration} (validation log P(O|λ) = ${best.validLL.toFixed(6)})`, this.iterations - 1, true);
+    }
+
+    // Store final matrices for charts, whether converged or capped
+    this._finalise();
+  }
+
+  /**
+   * One last forward/backward pass with the trained λ; keeps log α and
+   * γ of every sequence for the charts as [t][i] row views (finalAlpha/
+   * finalGamma are the first sequence's, for callers that only ever use one).
+   * Labelled steps stay clamped, as they were in training.
+   */
+  _finalise() {
+    this.finalAlphas = [];
+    this.finalGammas = [];
+    this.seqs.forEach((O, r) => {
+      const E = this._clamp(this.emission.probs(O), this.labels?.[r]);
+      const f = this._forward(O, E);
+      this.finalAlphas.push(this._logAlpha(f));
+      this.finalGammas.push(rowViews(this._estep(O, E, f, null), O.length, this.N));
+    });
+    this.finalAlpha = this.finalAlphas[0];
+    this.finalGamma = this.finalGammas[0];
+  }
+
+
+  // ── §2.6 Viterbi decoding ────────────────────────────────────
+  /**
+   * Most likely hidden-state path for an observation sequence.
+   * Runs entirely in log space so long sequences cannot underflow.
+   * labels (a state index or null per step) forces the path through
+   * the known states.
+   *
+   * Returns:
+   *   path     — state index per time step
+   *   logProb  — log P(O, Q*|λ) of that path
+   */
+  viterbi(obs = this.O, labels = null) {
+    const { N, pi, A } = this;
+    const T = obs.length;
+    if (!T) return { path: [], logProb: -Infinity };
+
+    const log  = x => Math.log(x > 0 ? x : 1e-300);
+    const logA = A.map(row => row.map(log));
+    const E    = this._clamp(this.emission.probs(obs), labels);
+
+    let delta = new Float64Array(N), next = new Float64Array(N);
+    const psi = new Int32Array(T * N);       // back-pointers, flat T·N
+
+    // t = 0
+    for (let i = 0; i < N; i++) delta[i] = log(pi[i]) + log(E[i]);
+
+    // t = 1 … T−1
+    for (let t = 1; t < T; t++) {
+      for (let j = 0; j < N; j++) {
+        let best = -Infinity, arg = 0;
+        for (let i = 0; i < N; i++) {
+          const v = delta[i] + logA[i][j];
+          if (v > best) { best = v; arg = i; }
+        }
+        next[j]        = best + log(E[t * N + j]);
+        psi[t * N + j] = arg;
+      }
+      [delta, next] = [next, delta];
+    }
+
+    // Termination + backtrack
+    let last = 0;
+    for (let i = 1; i < N; i++) if (delta[i] > delta[last]) last = i;
+    const path = new Array(T);
+    path[T - 1] = last;
+    for (let t = T - 1; t > 0; t--) path[t - 1] = psi[t * N + path[t]];
+
+    return { path, logProb: delta[last] };
+  }
+
+
+  // ── §2.7 Scoring ─────────────────────────────────────────────
+  /** log P(O|λ) of one sequence or an array of sequences under the current λ. */
+  logLikelihood(obs = this.seqs) {
+    return HMM.asSequences(obs, HMM.observationDim(this.emissionType, this.M))
+      .reduce((ll, O) => ll + this._forward(O).logLik, 0);
+  }
+
+  /**
+   * Forward-backward on one sequence, which need not be training data:
+   *   logLik     — log P(O|λ)
+   *   stepLogLik — log P(oₜ | o₁ … oₜ₋₁, λ) = −log c[t]; sums to logLik
+   *                (null at a missing step, which contributes nothing)
+   *   gamma      — γ as one row view per time step
+   */
+  posterior(O) {
+    const E = this.emission.probs(O);
+    const f = this._forward(O, E);
+    const stepLogLik = Array.from(f.c, (c, t) => O[t] === null ? null : -Math.log(c > 0 ? c : 1e-300));
+    return { logLik: f.logLik, stepLogLik, gamma: rowViews(this._estep(O, E, f, null), O.length, this.N) };
+  }
+
+  /** log P(λ) under opts.prior — 0 without one. Pinned entries are not scored. */
+  logPrior() {
+    const p = this.prior, c = this.constraints;
+    if (!p) return 0;
+    let lp = dirichletLogPdf(this.pi, p.pi, c && c.pi);
+    this.A.forEach((row, i) => { lp += dirichletLogPdf(row, p.A, c && c.A[i]); });
+    return lp + this.emission.logPrior(p.B, c && c.B);
+  }
+
+  /**
+   * Number of free parameters: every stochastic row loses one degree of
+   * freedom to its sum-to-one constraint. Pinned entries are not free,
+   * and a group of tied states counts its emission parameters once.
+   */
+  numParams() {
+    const { N, constraints: c } = this;
+    if (!c) return (N - 1) + N * (N - 1) + this.emission.numParams();
+
+    const freeIn = pins => {
+      const fixed = pins.reduce((s, v) => s + (v ?? 0), 0);
+      return fixed >= 1 - 1e-9 ? 0 : Math.max(0, pins.filter(v => v === null).length - 1);
+    };
+    const followers = new Set(c.ties.flatMap(g => g.slice(1)));
+    const leaders   = Array.from({ length: N }, (_, i) => i).filter(i => !followers.has(i));
+    const emission  = c.B
+      ? leaders.reduce((n, i) => n + freeIn(c.B[i]), 0)
+      : this.emission.numParams() / N * leaders.length;
+    return freeIn(c.pi) + c.A.reduce((n, row) => n + freeIn(row), 0) + emission;
+  }
+
+
+  // ── §2.8 Generative mode ─────────────────────────────────────
+  /**
+   * Sample a sequence of length T from λ with mulberry32(seed), so the
+   * same seed always gives the same data.
+   *
+   * Returns { states, obs } — the hidden path and what it emitted.
+   */
+  sample(T, seed = 42) {
+    const rand   = mulberry32(seed);
+    const states = new Array(T);
+    const obs    = new Array(T);
+    for (let t = 0; t < T; t++) {
+      states[t] = sampleIndex(t === 0 ? this.pi : this.A[states[t - 1]], rand);
+      obs[t]    = this.emission.sample(states[t], rand);
+    }
+    return { states, obs };
+  }
+
+  /**
+   * Build a model straight from parameters, e.g. to sample from it:
+   *   HMM.fromParams({ pi, A, B })          — discrete
+   *   HMM.fromParams({ pi, A, emission })   — any emission model
+   */
+  static fromParams(params, opts = {}) {
+    const N = params.A.length;
+    const M = params.B ? params.B[0].length : params.emission.D;
+    return new HMM([], N, M, { ...opts, init: params });
+  }
+
+
+  // ── §2.9 Serialisation ───────────────────────────────────────
+  /**
+   * Plain, versioned snapshot of the model (JSON.stringify calls this):
+   * λ, symbol labels, the settings needed to train it again and the
+   * training history. The data it was trained on is not included.
+   */
+  toJSON() {
+    return {
+      format:   HMM.JSON_FORMAT,
+      version:  HMM.JSON_VERSION,
+      N:        this.N,
+      M:        this.M,
+      pi:       this.pi,
+      A:        this.A,
+      emission: { ...this.emission },
+      symbols:  this.symbols,
+      settings: {
+        maxIter:     this.maxIter,
+        epsilon:     this.epsilon,
+        seed:        this.seed,
+        constraints: this.constraintSpec,
+        prior:       this.prior,
+        earlyStopping: this.earlyStopping,
+        trainer:     this.trainer,
+      },
+      history: {
+        logLikeHistory:      this.logLikeHistory,
+        logPriorHistory:     this.logPriorHistory,
+        validLogLikeHistory: this.validLogLikeHistory,
+        iterations:          this.iterations,
+        converged:           this.converged,
+        stoppedEarly:        this.stoppedEarly,
+        bestIteration:       this.bestIteration,
+      },
+    };
+  }
+
+  /**
+   * Rebuild a model saved by toJSON() (a JSON string or the parsed
+   * object). obs is optional: pass sequences to decode or keep training
+   * on. Throws if the file is not a model or is from a newer version.
+   */
+  static fromJSON(json, obs = []) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.format !== HMM.JSON_FORMAT)
+      throw new Error('Not a saved HMM model file');
+    if (!(data.version >= 1 && data.version <= HMM.JSON_VERSION))
+      throw new Error(`Unsupported model file version ${data.version} (this page reads up to ${HMM.JSON_VERSION})`);
+
+    checkSavedModel(data);
+    const { N, M, pi, A, emission, symbols, settings = {}, history = {} } = data;
+
+    const hmm = new HMM(obs, N, M, { ...settings, symbols, init: { pi, A, emission } });
+    hmm.logLikeHistory      = history.logLikeHistory      || [];
+    hmm.logPriorHistory     = history.logPriorHistory     || [];
+    hmm.validLogLikeHistory = history.validLogLikeHistory || [];
+    hmm.iterations          = history.iterations          || 0;
+    hmm.converged           = !!history.converged;
+    hmm.stoppedEarly        = !!history.stoppedEarly;
+    hmm.bestIteration       = history.bestIteration ?? null;
+    return hmm;
+  }
+}
+
+/** File identifier and schema version written by HMM.toJSON(). */
+HMM.JSON_FORMAT  = 'hmm-baum-welch-model';
+HMM.JSON_VERSION = 1;
+
+/**
+ * Check the types and shapes of a parsed model file before anything is
+ * built from it: whole-number N and M, finite numeric matrices of the
+ * right size for the emission type (probabilities in [0, 1] for π, A,
+ * B and mixture weights), M string symbol names, numeric settings, a
+ * prior object and well-formed constraints, and numeric history.
+ * Throws a "Model file is damaged" Error naming the first problem.
+ */
+function checkSavedModel(data) {
+  const fail  = what => { throw new Error(`Model file is damaged: ${what}`); };
+  const count = v => Number.isInteger(v) && v >= 1;
+  const num   = v => typeof v === 'number' && Number.isFinite(v);
+  const prob  = v => num(v) && v >= 0 && v <= 1 + 1e-9;   // rounding can leave a sure entry a hair above 1
+  const object = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const matrix = (m, rows, cols, name, ok = num, what = 'numbers') => {
+    if (!Array.isArray(m) || m.length !== rows || m.some(r => !Array.isArray(r) || r.length !== cols || !r.every(ok)))
+      fail(`${name} must be ${rows} × ${cols} ${what}`);
+  };
+  const probs = (m, rows, cols, name) => matrix(m, rows, cols, name, prob, 'probabilities');
+  const { N, M, pi, A, emission: e, symbols, settings = {}, history = {} } = data;
+
+  if (!count(N)) fail('N must be a whole number ≥ 1');
+  if (!count(M)) fail('M must be a whole number ≥ 1');
+  probs([pi], 1, N, 'π');
+  probs(A, N, N, 'A');
+  if (!e || !EMISSION_MODELS[e.type] || e.N !== N) fail('the emissions must be a known model with N states');
+  if (e.type === 'discrete') {
+    probs(e.B, N, M, 'B');
+  } else {
+    if (e.D !== M) fail('the emission dimension D must equal M');
+    if (e.type === 'gaussian') {
+      matrix(e.mean, N, M, 'the means');
+      matrix(e.variance, N, M, 'the variances');
+    } else {
+      if (!count(e.K)) fail('the mixture size K must be a whole number ≥ 1');
+      probs(e.weight, N, e.K, 'the mixture weights');
+      for (let i = 0; i < N; i++) {
+        matrix(e.mean?.[i], e.K, M, `the means of state ${i}`);
+        matrix(e.variance?.[i], e.K, M, `the variances of state ${i}`);
+      }
+    }
+    if (e.minVar !== undefined) matrix([e.minVar], 1, M, 'the variance floor');
+  }
+  if (symbols != null && !(Array.isArray(symbols) && symbols.length === M && symbols.every(x => typeof x === 'string')))
+    fail('symbols must list M names');
+
+  for (const key of ['maxIter', 'epsilon', 'seed', 'earlyStopping'])
+    if (settings[key] != null && !num(settings[key])) fail(`setting ${key} must be a number`);
+  if (settings.trainer != null && !HMM.TRAINERS[settings.trainer]) fail('unknown trainer');
+  if (settings.prior != null && !(object(settings.prior) &&
+      ['pi', 'A', 'B'].every(k => settings.prior[k] === undefined || num(settings.prior[k]))))
+    fail('the prior must map pi, A and B to numbers');
+  if (settings.constraints != null) checkSavedConstraints(settings.constraints, fail);
+
+  // JSON writes a log prior of −∞ as null, so those two lists may hold nulls
+  const series = { logLikeHistory: num, logPriorHistory: v => v === null || num(v), validLogLikeHistory: v => v === null || num(v) };
+  for (const [key, ok] of Object.entries(series))
+    if (history[key] != null && !(Array.isArray(history[key]) && history[key].every(ok)))
+      fail(`${key} must be a list of numbers`);
+  if (history.iterations != null && !(Number.isInteger(history.iterations) && history.iterations >= 0))
+    fail('iterations must be a whole number');
+  if (history.bestIteration != null && !Number.isInteger(history.bestIteration))
+    fail('bestIteration must be a whole number');
+}
+
+/**
+ * Types and shapes of a saved opts.constraints (see §12); whether the
+ * indices and values fit the model is left to resolveConstraints().
+ */
+function checkSavedConstraints(c, fail) {
+  const index = v => Number.isInteger(v) && v >= 0;
+  if (c === null || typeof c !== 'object' || Array.isArray(c)) fail('the constraints must be an object');
+  if (c.topology != null && !['ergodic', 'left-right', 'banded'].includes(c.topology)) fail('unknown topology');
+  if (c.band != null && !Number.isInteger(c.band)) fail('the band must be a whole number');
+  if (c.pins != null && !(Array.isArray(c.pins) && c.pins.every(p =>
+      p !== null && typeof p === 'object' && ['pi', 'A', 'B'].includes(p.param) && index(p.i) &&
+      (p.param === 'pi' || index(p.j)) && typeof p.value === 'number' && Number.isFinite(p.value))))
+    fail('the pins must list { param, i, j, value } entries');
+  if (c.ties != null && !(Array.isArray(c.ties) && c.ties.every(g => Array.isArray(g) && g.every(index))))
+    fail('the ties must be lists of state numbers');
+}
+
+/** Trainers selectable through opts.trainer, each with the objective it maximises. */
+HMM.TRAINERS = {
+  'baum-welch': 'log P(O|λ)',
+  viterbi:      'log P(O, Q*|λ)',
+  kmeans:       'log P(O, Q*|λ)',
+};
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §27  EMISSION MODELS
+// ══════════════════════════════════════════════════════════════
+//
+// An emission model owns bᵢ(o) and its re-estimation. The HMM only
+// talks to it through this interface:
+//
+//   probs(O)                  → flat T·N Float64Array,
+//                               E[t·N + i] = bᵢ(oₜ), floored at 1e-300;
+//                               1 for every state where oₜ is missing
+//   newStats()                → empty sufficient-statistics object,
+//                               every field indexed by state first
+//   accumulate(stats, O, γ)   → add one sequence's expected counts
+//                               (γ is flat T·N like E), skipping
+//                               missing steps
+//   reestimate(stats, α)      → new model of the same type (M-step);
+//                               α is the Dirichlet concentration of
+//                               its probability rows (1 = no prior)
+//   logPrior(α, pins)         → log Dir(α) of those rows, 0 if none
+//   densityView()             → per-state 1-D mixture for the charts,
+//                               or null for discrete tables
+//   numParams()               → free parameters, for AIC / BIC
+//   sample(i, rand)           → one observation drawn from state i
+//
+// A missing observation is null in O. With bᵢ = 1 it is summed out of
+// the likelihood, so forward/backward and Viterbi run across the gap
+// and still give γ and a decoded state there.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §27 Emission Models
+
+/** Discrete emissions: B[i][k] = P(oₜ = k | qₜ = Sᵢ). */
+class DiscreteEmission {
+  constructor(B) {
+    this.type = 'discrete';
+    this.B    = B;
+    this.N    = B.length;
+    this.M    = B[0].length;
+  }
+
+  static init(N, M, seqs, rand) {
+    return new DiscreteEmission(Array.from({ length: N }, () => randomRow(M, rand)));
+  }
+
+  probs(O) {
+    const { N, B } = this;
+    const E = new Float64Array(O.length * N);
+    for (let t = 0; t < O.length; t++) {
+      for (let i = 0; i < N; i++) E[t * N + i] = O[t] === null ? 1 : B[i][O[t]] || 1e-300;
+    }
+    return E;
+  }
+
+  newStats() {
+    return {
+      num: Array.from({ length: this.N }, () => new Array(this.M).fill(0)),
+      den: new Array(this.N).fill(0),
+    };
+  }
+
+  accumulate(stats, O, gamma) {
+    const N = this.N;
+    for (let t = 0; t < O.length; t++) {
+      if (O[t] === null) continue;
+      for (let i = 0; i < N; i++) {
+        stats.den[i] += gamma[t * N + i];
+        stats.num[i][O[t]] += gamma[t * N + i];
+      }
     }
+  }
+
+  reestimate(stats, alpha = 1) {
+    return new DiscreteEmission(stats.num.map((row, i) => {
+      const den = stats.den[i] + this.M * (alpha - 1);
+      if (!(den > 0)) return [...this.B[i]];        // state never visited (hard counts)
+      const r   = row.map(v => (v + alpha - 1) / den);
+      const s   = r.reduce((a, b) => a + b, 0) || 1;
+      return r.map(x => x / s);
+    }));
+  }
+
+  logPrior(alpha, pins) {
+    return this.B.reduce((lp, row, i) => lp + dirichletLogPdf(row, alpha, pins && pins[i]), 0);
+  }
+
+  densityView() { return null; }
+
+  numParams() { return this.N * (this.M - 1); }
+
+  sample(i, rand) { return sampleIndex(this.B[i], rand); }
+}
+
+/** Value of dimension d of an observation (plain numbers are 1-D). */
+function obsDim(o, d) {
+  return typeof o === 'number' ? o : o[d];
+}
+
+/**
+ * Gaussian emissions with a diagonal covariance:
+ *   bᵢ(o) = Π_d N(o_d ; mean[i][d], variance[i][d])
+ * Observations are plain numbers (D = 1) or arrays of D numbers.
+ * Variances are floored at minVar so a state cannot collapse onto a
+ * single repeated value.
+ */
+class GaussianEmission {
+  constructor(mean, variance, minVar) {
+    this.type     = 'gaussian';
+    this.mean     = mean;
+    this.variance = variance;
+    this.N        = mean.length;
+    this.D        = mean[0].length;
+    this.minVar   = minVar || new Array(this.D).fill(1e-6);
+  }
+
+  /**
+   * Data-driven init: shared global variance, and each state's mean at a
+   * random observation from its own slice of the data (sorted on the
+   * first dimension), so the states start apart rather than symmetric.
+   */
+  static init(N, M, seqs, rand) {
+    const all = seqs.flat().filter(o => o !== null);
+    const D   = typeof all[0] === 'number' ? 1 : all[0].length;
+    const mu  = new Array(D).fill(0), v = new Array(D).fill(0);
+    for (const o of all) for (let d = 0; d < D; d++) mu[d] += obsDim(o, d) / all.length;
+    for (const o of all) for (let d = 0; d < D; d++) v[d] += (obsDim(o, d) - mu[d]) ** 2 / all.length;
+    const globalVar = v.map(x => x > 0 ? x : 1);
+
+    const sorted = [...all].sort((a, b) => obsDim(a, 0) - obsDim(b, 0));
+    const mean = Array.from({ length: N }, (_, i) => {
+      const o = sorted[Math.min(sorted.length - 1, Math.floor((i + rand()) / N * sorted.length))];
+      return globalVar.map((gv, d) => obsDim(o, d) + (rand() - 0.5) * Math.sqrt(gv) * 0.1);
+    });
+    const variance = Array.from({ length: N }, () => [...globalVar]);
+    return new GaussianEmission(mean, variance, globalVar.map(gv => Math.max(1e-6, gv * 1e-3)));
+  }
 
-    // Store final matrices for charts even if we hit the iteration cap
-    if (!this.converged) {
-      const f  = this._forward();
-      const fb = this._backward(f.c);
-      const fg = this._estep(f.alpha, fb);
-      this.finalAlpha = f.logAlpha;
-      this.finalGamma = fg.gamma;
+  probs(O) {
+    const { N, D, mean, variance } = this;
+    const logNorm = variance.map(row => row.map(s2 => -0.5 * Math.log(2 * Math.PI * s2)));
+    const E = new Float64Array(O.length * N);
+    for (let t = 0; t < O.length; t++) {
+      if (O[t] === null) { E.fill(1, t * N, t * N + N); continue; }
+      for (let i = 0; i < N; i++) {
+        let lp = 0;
+        for (let d = 0; d < D; d++) {
+          const z = obsDim(O[t], d) - mean[i][d];
+          lp += logNorm[i][d] - 0.5 * z * z / variance[i][d];
+        }
+        E[t * N + i] = Math.exp(lp) || 1e-300;
+      }
     }
+    return E;
+  }
+
+  newStats() {
+    const { N, D } = this;
+    return {
+      w:  new Array(N).fill(0),
+      s1: Array.from({ length: N }, () => new Array(D).fill(0)),
+      s2: Array.from({ length: N }, () => new Array(D).fill(0)),
+    };
   }
+
+  accumulate(stats, O, gamma) {
+    const { N, D } = this;
+    for (let t = 0; t < O.length; t++) {
+      if (O[t] === null) continue;
+      for (let i = 0; i < N; i++) {
+        const g = gamma[t * N + i];
+        stats.w[i] += g;
+        for (let d = 0; d < D; d++) {
+          const x = obsDim(O[t], d);
+          stats.s1[i][d] += g * x;
+          stats.s2[i][d] += g * x * x;
+        }
+      }
+    }
+  }
+
+  /** Gaussians have no probability rows, so a Dirichlet α does not apply. */
+  reestimate(stats) {
+    const mean = this.mean.map((row, i) => stats.w[i] > 1e-12
+      ? row.map((_, d) => stats.s1[i][d] / stats.w[i]) : [...row]);
+    const variance = this.variance.map((row, i) => stats.w[i] > 1e-12
+      ? row.map((_, d) => Math.max(this.minVar[d], stats.s2[i][d] / stats.w[i] - mean[i][d] ** 2))
+      : [...row]);
+    return new GaussianEmission(mean, variance, this.minVar);
+  }
+
+  logPrior() { return 0; }
+
+  /** First-dimension view: one unit-weight component per state. */
+  densityView() {
+    return this.mean.map((row, i) => [{ weight: 1, mean: row[0], variance: this.variance[i][0] }]);
+  }
+
+  numParams() { return 2 * this.N * this.D; }
+
+  sample(i, rand) {
+    const o = this.mean[i].map((mu, d) => mu + Math.sqrt(this.variance[i][d]) * sampleNormal(rand));
+    return this.D === 1 ? o[0] : o;
+  }
+}
+
+/**
+ * Gaussian-mixture emissions: each state has K diagonal components,
+ *   bᵢ(o) = Σₖ weight[i][k] · N(o ; mean[i][k], variance[i][k])
+ * The M-step splits γₜ(i) over components by their responsibility
+ *   γₜ(i,k) = γₜ(i) · weight[i][k] N(oₜ ; μᵢₖ, σ²ᵢₖ) / bᵢ(oₜ)
+ * and re-estimates weights, means and variances from those shares.
+ */
+class GMMEmission {
+  constructor(weight, mean, variance, minVar) {
+    this.type     = 'gmm';
+    this.weight   = weight;
+    this.mean     = mean;
+    this.variance = variance;
+    this.N        = mean.length;
+    this.K        = mean[0].length;
+    this.D        = mean[0][0].length;
+    this.minVar   = minVar || new Array(this.D).fill(1e-6);
+  }
+
+  /**
+   * Like GaussianEmission.init, but with N·K slices of the sorted data —
+   * one per component.
+   */
+  static init(N, M, seqs, rand, opts = {}) {
+    const K   = Math.max(1, opts.mixtures || 2);
+    const all = seqs.flat().filter(o => o !== null);
+    const D   = typeof all[0] === 'number' ? 1 : all[0].length;
+    const mu  = new Array(D).fill(0), v = new Array(D).fill(0);
+    for (const o of all) for (let d = 0; d < D; d++) mu[d] += obsDim(o, d) / all.length;
+    for (const o of all) for (let d = 0; d < D; d++) v[d] += (obsDim(o, d) - mu[d]) ** 2 / all.length;
+    const globalVar = v.map(x => x > 0 ? x : 1);
+
+    const sorted = [...all].sort((a, b) => obsDim(a, 0) - obsDim(b, 0));
+    const mean = Array.from({ length: N }, (_, i) => Array.from({ length: K }, (_, k) => {
+      const slice = (i * K + k + rand()) / (N * K);
+      const o = sorted[Math.min(sorted.length - 1, Math.floor(slice * sorted.length))];
+      return globalVar.map((gv, d) => obsDim(o, d) + (rand() - 0.5) * Math.sqrt(gv) * 0.1);
+    }));
+    // Narrower than the data so components do not start out covering each other
+    const variance = Array.from({ length: N }, () => Array.from({ length: K }, () =>
+      globalVar.map(gv => gv / (N * K))));
+    const weight   = Array.from({ length: N }, () => new Array(K).fill(1 / K));
+    return new GMMEmission(weight, mean, variance, globalVar.map(gv => Math.max(1e-6, gv * 1e-3)));
+  }
+
+  /** Component densities wᵢₖ N(o ; μᵢₖ, σ²ᵢₖ) for one observation. */
+  _components(o, logNorm) {
+    const { N, K, D, weight, mean, variance } = this;
+    return Array.from({ length: N }, (_, i) => {
+      const p = new Float64Array(K);
+      for (let k = 0; k < K; k++) {
+        let lp = logNorm[i][k];
+        for (let d = 0; d < D; d++) {
+          const z = obsDim(o, d) - mean[i][k][d];
+          lp -= 0.5 * z * z / variance[i][k][d];
+        }
+        p[k] = weight[i][k] * Math.exp(lp);
+      }
+      return p;
+    });
+  }
+
+  _logNorm() {
+    return this.variance.map(comps => comps.map(row =>
+      row.reduce((s, s2) => s - 0.5 * Math.log(2 * Math.PI * s2), 0)));
+  }
+
+  probs(O) {
+    const N = this.N, logNorm = this._logNorm();
+    const E = new Float64Array(O.length * N);
+    for (let t = 0; t < O.length; t++) {
+      if (O[t] === null) { E.fill(1, t * N, t * N + N); continue; }
+      const comps = this._components(O[t], logNorm);
+      for (let i = 0; i < N; i++) E[t * N + i] = comps[i].reduce((a, b) => a + b, 0) || 1e-300;
+    }
+    return E;
+  }
+
+  newStats() {
+    const { N, K, D } = this;
+    return {
+      w:  Array.from({ length: N }, () => new Array(K).fill(0)),
+      s1: Array.from({ length: N }, () => Array.from({ length: K }, () => new Array(D).fill(0))),
+      s2: Array.from({ length: N }, () => Array.from({ length: K }, () => new Array(D).fill(0))),
+    };
+  }
+
+  accumulate(stats, O, gamma) {
+    const { N, K, D } = this;
+    const logNorm = this._logNorm();
+    for (let t = 0; t < O.length; t++) {
+      if (O[t] === null) continue;
+      const comps = this._components(O[t], logNorm);
+      for (let i = 0; i < N; i++) {
+        const tot = comps[i].reduce((a, b) => a + b, 0);
+        for (let k = 0; k < K; k++) {
+          // Responsibility; an underflowed state shares γ evenly
+          const r = gamma[t * N + i] * (tot > 0 ? comps[i][k] / tot : 1 / K);
+          stats.w[i][k] += r;
+          for (let d = 0; d < D; d++) {
+            const x = obsDim(O[t], d);
+            stats.s1[i][k][d] += r * x;
+            stats.s2[i][k][d] += r * x * x;
+          }
+        }
+      }
+    }
+  }
+
+  /** α is the Dirichlet concentration of each state's mixture weights. */
+  reestimate(stats, alpha = 1) {
+    const weight = stats.w.map((row, i) => {
+      const s = row.reduce((a, b) => a + b, 0) + this.K * (alpha - 1);
+      return s > 1e-12 ? row.map(v => (v + alpha - 1) / s) : [...this.weight[i]];
+    });
+    const mean = this.mean.map((comps, i) => comps.map((row, k) => stats.w[i][k] > 1e-12
+      ? row.map((_, d) => stats.s1[i][k][d] / stats.w[i][k]) : [...row]));
+    const variance = this.variance.map((comps, i) => comps.map((row, k) => stats.w[i][k] > 1e-12
+      ? row.map((_, d) => Math.max(this.minVar[d], stats.s2[i][k][d] / stats.w[i][k] - mean[i][k][d] ** 2))
+      : [...row]));
+    return new GMMEmission(weight, mean, variance, this.minVar);
+  }
+
+  logPrior(alpha) {
+    return this.weight.reduce((lp, row) => lp + dirichletLogPdf(row, alpha), 0);
+  }
+
+  /** First-dimension view: K weighted components per state. */
+  densityView() {
+    return this.mean.map((comps, i) => comps.map((row, k) => ({
+      weight: this.weight[i][k], mean: row[0], variance: this.variance[i][k][0],
+    })));
+  }
+
+  numParams() { return this.N * (this.K - 1) + 2 * this.N * this.K * this.D; }
+
+  sample(i, rand) {
+    const k = sampleIndex(this.weight[i], rand);
+    const o = this.mean[i][k].map((mu, d) => mu + Math.sqrt(this.variance[i][k][d]) * sampleNormal(rand));
+    return this.D === 1 ? o[0] : o;
+  }
+}
+
+/** Emission models selectable through the HMM constructor's opts.emission. */
+const EMISSION_MODELS = {
+  discrete: DiscreteEmission,
+  gaussian: GaussianEmission,
+  gmm:      GMMEmission,
+};
+
+/**
+ * postMessage() copies an emission model's fields but not its class;
+ * give such a copy (from a Worker, say) its methods back.
+ */
+function reviveEmission(plain) {
+  const Emission = EMISSION_MODELS[plain.type];
+  if (!Emission) throw new Error(`Unknown emission model "${plain.type}"`);
+  return Object.assign(Object.create(Emission.prototype), plain);
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §28  MODEL SEARCH
+// ══════════════════════════════════════════════════════════════
+//
+// Baum-Welch only finds a local maximum, so these helpers train
+// several models and compare them on their final log-likelihood.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §28 Model Search
+
+/** Five-number summary (plus mean and standard deviation) of a list of numbers. */
+function summarise(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const n = v.length;
+  const q = p => {
+    const pos = (n - 1) * p, lo = Math.floor(pos), hi = Math.ceil(pos);
+    return v[lo] + (v[hi] - v[lo]) * (pos - lo);
+  };
+  const mean = v.reduce((a, b) => a + b, 0) / n;
+  const sd   = Math.sqrt(v.reduce((a, b) => a + (b - mean) ** 2, 0) / n);
+  return { n, min: v[0], q1: q(0.25), median: q(0.5), q3: q(0.75), max: v[n - 1], mean, sd };
+}
+
+/**
+ * What restarts are ranked by: log P(O|λ) of the model train() left
+ * behind, plus log P(λ) when a prior makes training maximise the
+ * posterior. (The last history entry scores the λ before the final
+ * update — or another λ again after early stopping — and there is none
+ * with maxIter 0.)
+ */
+function restartScore(hmm) {
+  return hmm.logLikelihood() + hmm.logPrior();
+}
+
+/**
+ * Train R models that differ only in their random start and keep the
+ * one with the highest restartScore().
+ *
+ * Restart 0 uses opts.seed itself, so R = 1 is an ordinary run; the
+ * other seeds are drawn from mulberry32(opts.seed), so the whole set is
+ * reproducible from one number.
+ *
+ * callbackFor(hmm, r) may return a logCallback for restart r.
+ *
+ * Returns { best, bestIndex, runs: [{ seed, hmm, score }], summary }.
+ */
+function trainWithRestarts(obs, N, M, opts, R, callbackFor) {
+  const base  = opts.seed || 42;
+  const rand  = mulberry32(base);
+  const seeds = Array.from({ length: R }, (_, r) => r === 0 ? base : 1 + Math.floor(rand() * 2147483646));
+
+  const runs = seeds.map((seed, r) => {
+    const hmm = new HMM(obs, N, M, { ...opts, seed });
+    hmm.train(callbackFor ? callbackFor(hmm, r) : undefined);
+    return { seed, hmm, score: restartScore(hmm) };
+  });
+
+  let bestIndex = 0;
+  runs.forEach((run, r) => { if (run.score > runs[bestIndex].score) bestIndex = r; });
+
+  return {
+    best: runs[bestIndex].hmm,
+    bestIndex,
+    runs,
+    summary: summarise(runs.map(run => run.score)),
+  };
+}
+
+/** Number of observed (non-null) steps over a list of sequences. */
+function countObserved(seqs) {
+  return seqs.reduce((n, O) => n + O.filter(o => o !== null).length, 0);
+}
+
+/**
+ * Split a data set into training and held-out parts. With several
+ * sequences the last ⌈fraction·R⌉ whole sequences are held out; a single
+ * sequence is cut and its tail held out. Returns { train, heldOut }
+ * (heldOut is empty when there is too little data to spare). dim > 1
+ * marks vector observations (see HMM.asSequences).
+ */
+function splitHoldOut(obs, fraction = 0.2, dim = 1) {
+  const seqs = HMM.asSequences(obs, dim);
+  if (seqs.length > 1) {
+    const k = Math.min(seqs.length - 1, Math.ceil(seqs.length * fraction));
+    return { train: seqs.slice(0, seqs.length - k), heldOut: seqs.slice(seqs.length - k) };
+  }
+  const O   = seqs[0];
+  const cut = Math.round(O.length * (1 - fraction));
+  if (O.length < 10 || cut >= O.length) return { train: [O], heldOut: [] };
+  return { train: [O.slice(0, cut)], heldOut: [O.slice(cut)] };
+}
+
+/**
+ * k train / test splits for cross-validation. With at least k sequences
+ * they are dealt round-robin into the folds; otherwise every sequence is
+ * cut into k contiguous pieces and fold f tests on piece f of each. The
+ * pieces either side of a test piece stay separate training sequences,
+ * so no transition is invented across the gap. dim is as in
+ * splitHoldOut(). Returns [{ train, test }].
+ */
+function kFoldSplits(obs, k, dim = 1) {
+  const seqs = HMM.asSequences(obs, dim);
+  if (!(k >= 2)) throw new Error('Cross-validation needs at least 2 folds');
+  if (seqs.length >= k) {
+    return Array.from({ length: k }, (_, f) => ({
+      train: seqs.filter((_, r) => r % k !== f),
+      test:  seqs.filter((_, r) => r % k === f),
+    }));
+  }
+  if (seqs.some(O => O.length < 2 * k))
+    throw new Error(`Every sequence needs at least ${2 * k} observations for ${k} folds`);
+
+  const pieces = seqs.map(O => Array.from({ length: k }, (_, f) =>
+    O.slice(Math.round(f * O.length / k), Math.round((f + 1) * O.length / k))));
+  return Array.from({ length: k }, (_, f) => ({
+    train: pieces.flatMap(p => [p.slice(0, f).flat(), p.slice(f + 1).flat()]).filter(O => O.length),
+    test:  pieces.map(p => p[f]),
+  }));
+}
+
+/**
+ * k-fold cross-validation of the number of EM iterations. Each fold
+ * trains on its training split and scores its test split every
+ * iteration, before that iteration's update; curve[n] is the total over
+ * folds for λ after n EM updates (a fold that finished early keeps its
+ * last score). bestUpdates is where curve peaks — the number of updates
+ * to run on the full data, 0 when the initial λ scored best — and
+ * bestIteration = bestUpdates + 1 is the same point counted the way
+ * train() numbers iterations (and the charts draw them).
+ *
+ * callbackFor(hmm, f) may return a logCallback for fold f. State labels
+ * in opts.labels are split the same way as the observations.
+ *
+ * Returns { folds: [{ train, test, hmm }], curve, bestUpdates, bestIteration }.
+ */
+function crossValidate(obs, N, M, opts, k = 5, callbackFor) {
+  const labelFolds = opts.labels ? kFoldSplits(opts.labels, k) : null;
+  const dim   = HMM.observationDim(opts.emission || 'discrete', M);
+  const folds = kFoldSplits(obs, k, dim).map(({ train, test }, f) => {
+    const labels = labelFolds ? labelFolds[f].train : undefined;
+    const hmm = new HMM(train, N, M, { ...opts, labels, validation: test, earlyStopping: 0 });
+    hmm.train(callbackFor ? callbackFor(hmm, f) : undefined);
+    return { train, test, hmm };
+  });
+
+  const len   = Math.max(...folds.map(({ hmm }) => hmm.validLogLikeHistory.length));
+  const curve = Array.from({ length: len }, (_, n) =>
+    folds.reduce((sum, { hmm: { validLogLikeHistory: h } }) => sum + h[Math.min(n, h.length - 1)], 0));
+
+  let best = 0;
+  curve.forEach((v, n) => { if (v > curve[best]) best = n; });
+  return { folds, curve, bestUpdates: best, bestIteration: best + 1 };
+}
+
+/**
+ * Train one model per state count N = nMin … nMax and compare them.
+ * Each model is fitted on the training split (with `restarts` seeds);
+ * AIC and BIC use its training log-likelihood and free-parameter count,
+ * and the held-out split is scored with the fitted λ.
+ *
+ *   AIC = 2k − 2 log L          BIC = k ln n − 2 log L
+ *
+ * n counts observed steps only; missing ones add nothing to log L.
+ *
+ * callbackFor(hmm, N, r) may return a logCallback for each training run.
+ *
+ * Returns { results: [{ N, k, logLik, aic, bic, heldOutLL, hmm }],
+ *           recommended } — recommended is the N with the lowest BIC.
+ */
+function selectModelOrder(obs, M, opts, { nMin = 2, nMax = 5, holdOut = 0.2, restarts = 1 } = {}, callbackFor) {
+  const { train, heldOut } = splitHoldOut(obs, holdOut, HMM.observationDim(opts.emission || 'discrete', M));
+  const n = countObserved(train);
+
+  const results = [];
+  for (let N = nMin; N <= nMax; N++) {
+    const { best } = trainWithRestarts(train, N, M, opts, restarts,
+      callbackFor ? (hmm, r) => callbackFor(hmm, N, r) : undefined);
+    const logLik = best.logLikelihood(train);
+    const k      = best.numParams();
+    results.push({
+      N, k, logLik,
+      aic: 2 * k - 2 * logLik,
+      bic: k * Math.log(n) - 2 * logLik,
+      heldOutLL: heldOut.length ? best.logLikelihood(heldOut) : null,
+      hmm: best,
+    });
+  }
+
+  const recommended = results.reduce((b, r) => r.bic < b.bic ? r : b, results[0]).N;
+  return { results, recommended, nTrain: n, nHeldOut: countObserved(heldOut) };
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §29  GROUND-TRUTH COMPARISON
+// ══════════════════════════════════════════════════════════════
+//
+// A trained HMM is only defined up to a relabelling of its states, so
+// before comparing it with the model that generated the data we find
+// the permutation that lines the states up best (Hungarian matching on
+// the emission parameters) and compare in the true model's order.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §29 Ground-Truth Comparison
+
+/**
+ * Hungarian algorithm (Kuhn–Munkres, O(n³)) for a square cost matrix.
+ * Returns assign with assign[row] = column, minimising Σ cost[row][assign[row]].
+ */
+function hungarian(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0), v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0), way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity, j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+        else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assign = new Array(n);
+  for (let j = 1; j <= n; j++) if (p[j]) assign[p[j] - 1] = j - 1;
+  return assign;
+}
+
+/**
+ * Emission parameters as one flat row per state — B rows for discrete
+ * models, [μ…, σ²…] for Gaussians and [w, μ…, σ²…] per component for
+ * mixtures. Returns { rows, cols } with column labels.
+ */
+function emissionTable(emission) {
+  if (emission.type === 'discrete') {
+    return { rows: emission.B.map(r => [...r]), cols: emission.B[0].map((_, k) => `sym-${k}`) };
+  }
+  const dims = Array.from({ length: emission.D }, (_, d) => emission.D > 1 ? `${d + 1}` : '');
+  if (emission.type === 'gaussian') {
+    return {
+      rows: emission.mean.map((mu, i) => [...mu, ...emission.variance[i]]),
+      cols: [...dims.map(d => `μ${d}`), ...dims.map(d => `σ²${d}`)],
+    };
+  }
+  const cols = [];
+  for (let k = 0; k < emission.K; k++) {
+    cols.push(`w${k + 1}`, ...dims.map(d => `μ${k + 1}${d && '.' + d}`), ...dims.map(d => `σ²${k + 1}${d && '.' + d}`));
+  }
+  return {
+    rows: emission.mean.map((comps, i) => comps.flatMap((mu, k) =>
+      [emission.weight[i][k], ...mu, ...emission.variance[i][k]])),
+    cols,
+  };
+}
+
+/**
+ * Compare a learned model with the true one. perm[k] is the learned
+ * state matched to true state k; learned parameters are reordered into
+ * the true order before subtracting, so every diff is learned − true.
+ *
+ * Returns { perm, pi, A, B } where each of pi/A/B is
+ *   { learned, truth, diff, maxAbs, rmse } (B also has cols).
+ */
+function compareModels(learned, truth) {
+  const N = truth.N;
+  const L = emissionTable(learned.emission), T = emissionTable(truth.emission);
+
+  // Squared distance between emission rows, each column scaled by the
+  // truth's spread so means and variances weigh in comparably
+  const scale = T.cols.map((_, c) => {
+    const col = T.rows.map(r => r[c]);
+    return Math.max(1e-9, Math.max(...col.map(Math.abs)));
+  });
+  const cost = T.rows.map(tr => L.rows.map(lr =>
+    tr.reduce((s, v, c) => s + ((v - lr[c]) / scale[c]) ** 2, 0)));
+  const perm = hungarian(cost);
+
+  const summary = (learnedM, truthM) => {
+    const diff = learnedM.map((row, i) => row.map((v, j) => v - truthM[i][j]));
+    const flat = diff.flat();
+    return {
+      learned: learnedM, truth: truthM, diff,
+      maxAbs: Math.max(...flat.map(Math.abs)),
+      rmse:   Math.sqrt(flat.reduce((s, d) => s + d * d, 0) / flat.length),
+    };
+  };
+
+  return {
+    perm,
+    pi: summary([perm.map(i => learned.pi[i])], [truth.pi]),
+    A:  summary(perm.map(i => perm.map(j => learned.A[i][j])), truth.A),
+    B:  { ...summary(perm.map(i => L.rows[i]), T.rows), cols: T.cols },
+  };
+}
+
+/** Fraction of time steps where the learned path, mapped through perm, hits the true state. */
+function decodingAccuracy(path, truePath, perm) {
+  const toTrue = [];
+  perm.forEach((learnedIdx, k) => { toTrue[learnedIdx] = k; });
+  let hits = 0;
+  for (let t = 0; t < truePath.length; t++) if (toTrue[path[t]] === truePath[t]) hits++;
+  return truePath.length ? hits / truePath.length : 0;
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §12  STRUCTURAL CONSTRAINTS
+// ══════════════════════════════════════════════════════════════
+//
+// opts.constraints restricts which λ Baum-Welch may reach:
+//
+//   topology  'ergodic'     every transition allowed (default)
+//             'left-right'  A[i][j] = 0 for j < i, and for j > i + band
+//                           when band > 0; the chain starts in S0
+//             'banded'      A[i][j] = 0 when |i − j| > band
+//   pins      [{ param: 'pi' | 'A' | 'B', i, j?, value }] — fixed entries
+//             (B pins need discrete emissions); they override topology
+//   ties      [[0, 2], …] — states that share one emission distribution
+//
+// A pinned entry keeps its value in every M-step; the free entries of
+// its row are re-estimated as usual and scaled to 1 − Σ pinned, which
+// is the constrained maximum-likelihood update.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §12 Structural Constraints
+
+/**
+ * Validate a constraints spec and expand it to per-entry pins:
+ *   { topology, band, pi[N], A[N][N], B[N][M] | null, ties }
+ * where every entry is a fixed value or null (free). B is only set
+ * for discrete emissions. Throws on an impossible spec.
+ */
+function resolveConstraints(spec, N, M, emissionType) {
+  const topology = spec.topology || 'ergodic';
+  const band     = Math.max(0, spec.band | 0);
+  if (!['ergodic', 'left-right', 'banded'].includes(topology))
+    throw new Error(`Unknown topology "${topology}"`);
+
+  const pi = new Array(N).fill(null);
+  const A  = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => {
+    if (topology === 'left-right') return j < i || (band > 0 && j > i + band) ? 0 : null;
+    if (topology === 'banded')     return Math.abs(i - j) > band ? 0 : null;
+    return null;
+  }));
+  if (topology === 'left-right') pi.forEach((_, i) => { pi[i] = i === 0 ? 1 : 0; });
+  const B = emissionType === 'discrete'
+    ? Array.from({ length: N }, () => new Array(M).fill(null)) : null;
+
+  const inRange = (v, n) => Number.isInteger(v) && v >= 0 && v < n;
+  for (const { param, i, j, value } of spec.pins || []) {
+    const name = param === 'pi' ? `π[${i}]` : `${param}[${i}][${j}]`;
+    if (!(value >= 0 && value <= 1)) throw new Error(`${name} must be pinned to a value in [0, 1]`);
+    if (param === 'pi') {
+      if (!inRange(i, N)) throw new Error(`${name} is out of range for N = ${N}`);
+      pi[i] = value;
+    } else if (param === 'A') {
+      if (!inRange(i, N) || !inRange(j, N)) throw new Error(`${name} is out of range for N = ${N}`);
+      A[i][j] = value;
+    } else if (param === 'B') {
+      if (!B) throw new Error('B entries can only be pinned for discrete emissions');
+      if (!inRange(i, N) || !inRange(j, M)) throw new Error(`${name} is out of range for N = ${N}, M = ${M}`);
+      B[i][j] = value;
+    } else {
+      throw new Error(`Unknown parameter "${param}" (use pi, A or B)`);
+    }
+  }
+
+  const checkRow = (row, name) => {
+    const fixed = row.reduce((s, v) => s + (v ?? 0), 0);
+    if (fixed > 1 + 1e-9) throw new Error(`Pinned entries of ${name} add up to more than 1`);
+    if (row.every(v => v !== null) && Math.abs(fixed - 1) > 1e-9)
+      throw new Error(`Every entry of ${name} is pinned, so they must add up to 1`);
+  };
+  checkRow(pi, 'π');
+  A.forEach((row, i) => checkRow(row, `A row ${i}`));
+  if (B) B.forEach((row, i) => checkRow(row, `B row ${i}`));
+
+  const seen = new Set();
+  const ties = (spec.ties || []).filter(g => g.length > 1).map(g => {
+    for (const i of g) {
+      if (!inRange(i, N)) throw new Error(`Tied state ${i} is out of range for N = ${N}`);
+      if (seen.has(i)) throw new Error(`State ${i} appears in more than one tie`);
+      seen.add(i);
+    }
+    if (B && g.some(i => B[i].some((v, k) => v !== B[g[0]][k])))
+      throw new Error(`Tied states ${g.join(', ')} must have the same B pins`);
+    return [...g];
+  });
+
+  return { topology, band, pi, A, B, ties };
+}
+
+/**
+ * Pinned entries take their value; the free ones keep their proportions
+ * and share 1 − Σ pinned (evenly, if they are all zero).
+ */
+function constrainRow(row, pins) {
+  let fixed = 0, free = 0, nFree = 0;
+  row.forEach((v, k) => {
+    if (pins[k] === null) { free += v; nFree++; } else fixed += pins[k];
+  });
+  const rest = Math.max(0, 1 - fixed);
+  return row.map((v, k) => pins[k] !== null ? pins[k] : free > 0 ? v / free * rest : rest / nFree);
+}
+
+/**
+ * Sum the sufficient statistics of each tie group and give every member
+ * the total, so reestimate() fits one distribution to their pooled data.
+ * Works for every emission model because all stats are indexed by state.
+ */
+function poolTiedStats(stats, ties) {
+  const add = (a, b) => Array.isArray(a) ? a.map((x, k) => add(x, b[k])) : a + b;
+  const copy = v => Array.isArray(v) ? v.map(copy) : v;
+  for (const key of Object.keys(stats)) {
+    for (const g of ties) {
+      const total = g.slice(1).reduce((acc, i) => add(acc, stats[key][i]), stats[key][g[0]]);
+      g.forEach(i => { stats[key][i] = copy(total); });
+    }
+  }
+}
+
+/** Copy of emission where every tied state has its group leader's parameters. */
+function tieEmissionRows(emission, ties) {
+  const copy = v => Array.isArray(v) ? v.map(copy) : v;
+  const e = Object.assign(Object.create(Object.getPrototypeOf(emission)), emission);
+  for (const key of ['B', 'weight', 'mean', 'variance']) {
+    if (!Array.isArray(e[key])) continue;
+    e[key] = copy(e[key]);
+    for (const g of ties) g.forEach(i => { e[key][i] = copy(e[key][g[0]]); });
+  }
+  return e;
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §30  EVALUATION  (scoring new data, anomaly detection)
+// ══════════════════════════════════════════════════════════════
+//
+// log P(O|λ) splits into one term per step, log P(oₜ | o₁ … oₜ₋₁, λ):
+// how surprising each observation was given everything before it. A
+// stretch the model explains badly shows up as a dip in those terms,
+// so a window whose average falls below a threshold is flagged.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §30 Evaluation
+
+/**
+ * out[t] = mean of step[t − w + 1 … t] (shorter windows at the start).
+ * Missing (null) steps are left out; a window with none observed is null.
+ */
+function windowMeans(step, w) {
+  const out = new Array(step.length);
+  let sum = 0, n = 0;
+  for (let t = 0; t < step.length; t++) {
+    if (step[t] !== null) { sum += step[t]; n++; }
+    if (t >= w && step[t - w] !== null) { sum -= step[t - w]; n--; }
+    out[t] = n ? sum / n : null;
+  }
+  return out;
+}
+
+/**
+ * Score and decode each sequence with a trained model. Per sequence:
+ * { T, logLik, perSymbol, stepLogLik, windowLogLik, gamma, path, pathLogProb }.
+ */
+function evaluateSequences(hmm, seqs, width = 1) {
+  return seqs.map(O => {
+    const { logLik, stepLogLik, gamma } = hmm.posterior(O);
+    const { path, logProb } = hmm.viterbi(O);
+    const observed = O.filter(o => o !== null).length;
+    return {
+      T: O.length,
+      logLik,
+      perSymbol:    observed ? logLik / observed : 0,
+      stepLogLik,
+      windowLogLik: windowMeans(stepLogLik, width),
+      gamma,
+      path,
+      pathLogProb:  logProb,
+    };
+  });
+}
+
+/**
+ * Default threshold: the lowest window mean over the model's own
+ * training sequences, so only data it explains worse than anything it
+ * was fitted to gets flagged. null when the model holds no data.
+ */
+function anomalyThreshold(hmm, width = 1) {
+  let min = Infinity;
+  for (const O of hmm.seqs) {
+    if (!O.length) continue;
+    for (const v of windowMeans(hmm.posterior(O).stepLogLik, width)) if (v !== null) min = Math.min(min, v);
+  }
+  return min === Infinity ? null : min;
+}
+
+/**
+ * Runs of consecutive windows whose mean is below threshold, as
+ * [{ start, end, min }]: the steps covered (end inclusive, widened back
+ * by the window width) and the lowest window mean in the run.
+ */
+function findAnomalies(windowLogLik, threshold, width = 1) {
+  const runs = [];
+  let run = null;
+  windowLogLik.forEach((v, t) => {
+    if (v !== null && v < threshold) {
+      if (!run) runs.push(run = { start: Math.max(0, t - width + 1), end: t, min: v });
+      run.end = t;
+      run.min = Math.min(run.min, v);
+    } else {
+      run = null;
+    }
+  });
+  return runs;
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §19  ONLINE FILTERING  (one observation at a time)
+// ══════════════════════════════════════════════════════════════
+//
+// The forward recursion only ever needs the previous α row, so a live
+// stream can be filtered in O(N²) per observation without keeping or
+// rerunning the whole sequence. For a fixed-lag smoothed estimate the
+// filter also keeps the last lag + 1 rows and runs a short backward
+// pass over them: P(q_{t−L} | o₁ … oₜ) uses L steps of hindsight.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §19 Online Filtering
+
+class OnlineFilter {
+  /**
+   * hmm: a trained model; its λ at construction time is used from then
+   * on. lag: how many later observations the smoothed estimate waits
+   * for (0 = smoothed is the filtered distribution itself).
+   */
+  constructor(hmm, lag = 0) {
+    this.N        = hmm.N;
+    this.pi       = hmm.pi;
+    this.A        = hmm.A;
+    this.emission = hmm.emission;
+    this.lag      = Math.max(0, lag | 0);
+    this.reset();
+  }
+
+  /** Forget everything pushed so far; the next push() is t = 0. */
+  reset() {
+    this.t      = 0;
+    this.logLik = 0;
+    this.alpha  = null;
+    this.recent = [];           // [{ alpha, e }] for the last lag + 1 steps
+  }
+
+  /**
+   * Fold in observation o (a symbol, number or vector, as for training).
+   * Returns:
+   *   t          — index of o in the stream
+   *   filtered   — P(qₜ = Sᵢ | o₁ … oₜ)
+   *   stepLogLik — log P(oₜ | o₁ … oₜ₋₁)
+   *   logLik     — running log P(o₁ … oₜ)
+   *   smoothed   — { t: t − lag, dist: P(q_{t−lag} | o₁ … oₜ) },
+   *                null until lag observations have arrived
+   */
+  push(o) {
+    const { N, A, pi } = this;
+    const e    = this.emission.probs([o]);
+    const next = new Float64Array(N);
+    let sum = 0;
+    for (let j = 0; j < N; j++) {
+      let pred = 0;
+      if (this.alpha) for (let i = 0; i < N; i++) pred += this.alpha[i] * A[i][j];
+      else pred = pi[j];
+      next[j] = pred * e[j];
+      sum += next[j];
+    }
+    if (sum > 0) for (let j = 0; j < N; j++) next[j] /= sum;
+    else next.fill(1 / N);      // o impossible under λ: start afresh from uniform
+
+    const stepLogLik = Math.log(sum > 0 ? sum : 1e-300);
+    this.alpha   = next;
+    this.logLik += stepLogLik;
+    this.recent.push({ alpha: next, e });
+    if (this.recent.length > this.lag + 1) this.recent.shift();
+
+    const t = this.t++;
+    return {
+      t,
+      filtered: Array.from(next),
+      stepLogLik,
+      logLik: this.logLik,
+      smoothed: this.recent.length === this.lag + 1 ? { t: t - this.lag, dist: this._smooth() } : null,
+    };
+  }
+
+  /** Backward pass over this.recent → P(q at its first step | everything pushed). */
+  _smooth() {
+    const { N, A, recent } = this;
+    let beta = new Float64Array(N).fill(1);
+    for (let s = recent.length - 1; s > 0; s--) {
+      const { e } = recent[s];
+      const prev = new Float64Array(N);
+      let sum = 0;
+      for (let i = 0; i < N; i++) {
+        for (let j = 0; j < N; j++) prev[i] += A[i][j] * e[j] * beta[j];
+        sum += prev[i];
+      }
+      beta = sum > 0 ? prev.map(v => v / sum) : prev.fill(1);
+    }
+    const dist = Array.from(recent[0].alpha, (a, i) => a * beta[i]);
+    const total = dist.reduce((a, b) => a + b, 0);
+    return total > 0 ? dist.map(v => v / total) : Array.from(recent[0].alpha);
+  }
+}
+
+// #endregion
+
+
+
+// ══════════════════════════════════════════════════════════════
+// §21  ONLINE EM  (λ that follows a drifting source)
+// ══════════════════════════════════════════════════════════════
+//
+// Incremental Baum-Welch: every few observations the most recent
+// window is run through forward-backward under the current λ. Its
+// expected counts are blended into running statistics,
+//
+//   S ← (1 − η)·S + η·S_window        (η = step size = 1 − forgetting)
+//
+// and λ is re-estimated from S with the usual M-step, so priors and
+// constraints still apply. Older data fades geometrically, so the
+// model tracks a source whose parameters drift.
+//
+// ══════════════════════════════════════════════════════════════
+
+// #region §21 Online EM
+
+class OnlineEM {
+  /**
+   * Adapts hmm's λ in place as observations arrive. Options:
+   *   window     — recent observations each update looks at (200)
+   *   every      — observations between updates (10)
+   *   stepSize   — η in (0, 1], the weight of the newest window; or
+   *   forgetting — 1 − η, how much of the old statistics each update keeps
+   */
+  constructor(hmm, { window = 200, every = 10, stepSize, forgetting } = {}) {
+    const eta = stepSize ?? (forgetting !== undefined ? 1 - forgetting : 0.1);
+    if (!(eta > 0 && eta <= 1)) throw new Error('Online EM step size must be in (0, 1] (forgetting factor in [0, 1))');
+    if (!(window >= 2)) throw new Error('Online EM window must hold at least 2 observations');
+    this.hmm      = hmm;
+    this.window   = window;
+    this.every    = Math.max(1, every | 0);
+    this.stepSize = eta;
+    this.buffer   = [];
+    this.stats    = null;
+    this.seen     = 0;
+    this.updates  = 0;
+    this.logLikeHistory = [];   // window log P(O|λ) before each update
+  }
+
+  /**
+   * Add one observation; every `every` of them, update λ. Returns
+   * { updated, update, logLik } — update counts the updates so far and
+   * logLik is the window's log P(O|λ) under the λ it started from
+   * (null when this push did not update).
+   */
+  push(o) {
+    this.buffer.push(o);
+    if (this.buffer.length > this.window) this.buffer.shift();
+    this.seen++;
+    if (this.seen % this.every || this.buffer.length < 2)
+      return { updated: false, update: this.updates, logLik: null };
+
+    const hmm = this.hmm, O = this.buffer;
+    const acc = hmm._newAccumulator();
+    const E   = hmm.emission.probs(O);
+    const f   = hmm._forward(O, E);
+    hmm._estep(O, E, f, acc);
+    this.stats = this.stats ? blendStats(this.stats, acc, this.stepSize) : acc;
+
+    // _mstep adds prior pseudocounts in place, so it gets a copy
+    Object.assign(hmm, hmm._mstep(structuredClone(this.stats)));
+    this.updates++;
+    this.logLikeHistory.push(f.logLik);
+    return { updated: true, update: this.updates, logLik: f.logLik };
+  }
+}
+
+/** (1 − η)·old + η·fresh, entry by entry, over matching nested count arrays / objects. */
+function blendStats(old, fresh, eta) {
+  if (typeof old === 'number') return (1 - eta) * old + eta * fresh;
+  if (Array.isArray(old)) return old.map((v, k) => blendStats(v, fresh[k], eta));
+  return Object.fromEntries(Object.keys(old).map(key => [key, blendStats(old[key], fresh[key], eta)]));
 }
 
 // #endregion
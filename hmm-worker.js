@@ -0,0 +1,123 @@
+/**
+ * hmm-worker.js
+ * ──────────────────────────────────────────────────────────────
+ * Baum-Welch HMM — background training (Web Worker)
+ *
+ * Receives { job, seqs, N, M, opts, … } and trains off the page's
+ * thread, streaming the run back. job is one of
+ *   'train'     one model — the HMM constructor's arguments
+ *   'restarts'  trainWithRestarts(), + { restarts }
+ *   'modsel'    selectModelOrder(),  + { range: { nMin, nMax, restarts } }
+ *   'kfold'     crossValidate(),     + { k }
+ *
+ * Messages posted back:
+ *   { type: 'run', run, seed, N, fold? }
+ *       multi-model jobs only: model number `run` starts training;
+ *       the 'iter' / 'log' messages that follow belong to it
+ *   { type: 'iter', message, iteration, logLik, logPrior, validLogLik, params }
+ *       after every M-step; params = { pi, A, emission } is the
+ *       re-estimated λ (rebuild the emission with reviveEmission);
+ *       validLogLik scores the λ before this update (null without
+ *       opts.validation)
+ *   { type: 'log',  message }      convergence / early-stopping line
+ *   { type: 'runDone', run, params, …history }
+ *       multi-model jobs: model `run` has finished (history as in 'done')
+ *   { type: 'done', … }
+ *       'train':    params, logLikeHistory, logPriorHistory,
+ *                   validLogLikeHistory, iterations, converged,
+ *                   stoppedEarly, bestIteration
+ *       'restarts': bestIndex, summary
+ *       'modsel':   results (each with the `run` of its model),
+ *                   recommended, nTrain, nHeldOut
+ *       'kfold':    folds [{ iterations, validLogLik, nTest }], curve,
+ *                   bestUpdates, bestIteration
+ *   { type: 'error', message }
+ *
+ * Depends on: hmm-core.js (loaded with importScripts)
+ * ──────────────────────────────────────────────────────────────
+ */
+
+// #region §14 Training Worker
+
+importScripts('hmm-core.js');
+
+/** λ of a model as it is posted. */
+const paramsOf = hmm => ({ pi: hmm.pi, A: hmm.A, emission: hmm.emission });
+
+/** Final λ and training history of a model. */
+const resultOf = hmm => ({
+  params:          paramsOf(hmm),
+  logLikeHistory:  hmm.logLikeHistory,
+  logPriorHistory: hmm.logPriorHistory,
+  validLogLikeHistory: hmm.validLogLikeHistory,
+  iterations:      hmm.iterations,
+  converged:       hmm.converged,
+  stoppedEarly:    hmm.stoppedEarly,
+  bestIteration:   hmm.bestIteration,
+});
+
+/** logCallback for hmm.train() that posts every iteration and closing line. */
+function streamTo(hmm) {
+  return (message, iter, done) => {
+    if (done) { postMessage({ type: 'log', message }); return; }
+    postMessage({
+      type:      'iter',
+      message,
+      iteration: iter + 1,
+      logLik:    hmm.logLikeHistory.at(-1),
+      logPrior:  hmm.logPriorHistory.at(-1) ?? 0,
+      validLogLik: hmm.validLogLikeHistory.at(-1) ?? null,
+      params:    paramsOf(hmm),
+    });
+  };
+}
+
+onmessage = ({ data }) => {
+  try {
+    const { job = 'train', seqs, N, M, opts } = data;
+    if (job === 'train') {
+      const hmm = new HMM(seqs, N, M, opts);
+      hmm.train(streamTo(hmm));
+      postMessage({ type: 'done', ...resultOf(hmm) });
+      return;
+    }
+
+    // The search helpers ask for a logCallback just before each model
+    // trains, so that is where it is announced — and the previous one
+    // is known to be finished.
+    const models = [];
+    const finishLast = () => {
+      if (models.length) postMessage({ type: 'runDone', run: models.length - 1, ...resultOf(models.at(-1)) });
+    };
+    const announce = (hmm, extra = {}) => {
+      finishLast();
+      models.push(hmm);
+      postMessage({ type: 'run', run: models.length - 1, seed: hmm.seed, N: hmm.N, ...extra });
+      return streamTo(hmm);
+    };
+
+    if (job === 'restarts') {
+      const { bestIndex, summary } = trainWithRestarts(seqs, N, M, opts, data.restarts, hmm => announce(hmm));
+      finishLast();
+      postMessage({ type: 'done', bestIndex, summary });
+    } else if (job === 'modsel') {
+      const sel = selectModelOrder(seqs, M, opts, data.range, hmm => announce(hmm));
+      finishLast();
+      const results = sel.results.map(({ hmm, ...r }) => ({ ...r, run: models.indexOf(hmm) }));
+      postMessage({ type: 'done', results, recommended: sel.recommended, nTrain: sel.nTrain, nHeldOut: sel.nHeldOut });
+    } else if (job === 'kfold') {
+      const cv = crossValidate(seqs, N, M, opts, data.k, (hmm, fold) => announce(hmm, { fold }));
+      finishLast();
+      const folds = cv.folds.map(({ test, hmm }) => ({
+        iterations: hmm.iterations, validLogLik: hmm.validLogLikeHistory.at(-1), nTest: countObserved(test),
+      }));
+      postMessage({ type: 'done', folds, curve: cv.curve, bestUpdates: cv.bestUpdates, bestIteration: cv.bestIteration });
+    } else {
+      throw new Error(`Unknown job "${job}"`);
+    }
+  } catch (e) {
+    postMessage({ type: 'error', message: e.message });
+  }
+};
+
+// #endregion